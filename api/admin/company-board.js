@@ -0,0 +1,64 @@
+import {
+  getCachedCompanyBoard,
+  overrideCompanyBoard,
+  invalidateCompanyBoard,
+} from "../../lib/company-board-cache.js";
+import { knowledgeProviderName } from "../../lib/knowledge.js";
+import { safeEqual } from "../../lib/auth.js";
+import { withNodeHelpers } from "../../lib/node-helpers.js";
+
+export const config = { runtime: "nodejs" };
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const WORKER_KEY = mustEnv("WORKER_KEY");
+
+/**
+ * Cached company -> board resolutions (see lib/company-board-cache.js). `provider`
+ * defaults to the configured KNOWLEDGE_PROVIDER.
+ *
+ *   GET  /api/admin/company-board?company=Acme          the cached entry, if any
+ *   POST { action: "invalidate", company }              forget it; the next job rediscovers
+ *   POST { action: "override", company, boardId[, boardTitle] }
+ *                                                       pin a board (no expiry)
+ */
+async function handler(req, res) {
+  try {
+    const key = req.headers["x-worker-key"];
+    if (!safeEqual(key, WORKER_KEY)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (req.method === "GET") {
+      const company = req.query?.company;
+      if (!company) return res.status(400).json({ error: "Missing company" });
+      const provider = req.query?.provider || knowledgeProviderName();
+      return res.status(200).json({ ok: true, provider, company, entry: await getCachedCompanyBoard(provider, company) });
+    }
+
+    if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+    const { action, company, boardId, boardTitle, provider = knowledgeProviderName() } = req.body || {};
+    if (!company) return res.status(400).json({ error: "Missing company" });
+
+    if (action === "invalidate") {
+      const removed = await invalidateCompanyBoard(provider, company);
+      return res.status(200).json({ ok: true, provider, company, removed });
+    }
+
+    if (action === "override") {
+      if (!boardId) return res.status(400).json({ error: "Missing boardId" });
+      const entry = await overrideCompanyBoard(provider, company, { boardId, boardTitle });
+      return res.status(200).json({ ok: true, provider, company, entry });
+    }
+
+    return res.status(400).json({ error: `Unknown action: ${action}` });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withNodeHelpers(handler);
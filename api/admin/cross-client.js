@@ -0,0 +1,38 @@
+import { crossClientCitations } from "../../lib/citation-audit.js";
+import { safeEqual } from "../../lib/auth.js";
+import { withNodeHelpers } from "../../lib/node-helpers.js";
+
+export const config = { runtime: "nodejs" };
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const WORKER_KEY = mustEnv("WORKER_KEY");
+
+/**
+ * Cross-client citation attempts for a company (see lib/citation-audit.js).
+ *
+ *   GET /api/admin/cross-client?company=Acme[&limit=50]   total + most recently cited cards
+ */
+async function handler(req, res) {
+  try {
+    const key = req.headers["x-worker-key"];
+    if (!safeEqual(key, WORKER_KEY)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+    const company = req.query?.company;
+    if (!company) return res.status(400).json({ error: "Missing company" });
+    const limit = Math.max(1, Math.min(500, Number(req.query?.limit || 50)));
+
+    return res.status(200).json({ ok: true, ...(await crossClientCitations(company, { limit })) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withNodeHelpers(handler);
@@ -0,0 +1,86 @@
+import {
+  queueDepth,
+  peekJobs,
+  requeueDeadLetter,
+  dropJob,
+  purgeQueue,
+  issuePurgeToken,
+  consumePurgeToken,
+} from "../../lib/queue.js";
+import { safeEqual } from "../../lib/auth.js";
+import { withNodeHelpers } from "../../lib/node-helpers.js";
+
+export const config = { runtime: "nodejs" };
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const WORKER_KEY = mustEnv("WORKER_KEY");
+
+/**
+ * Queue administration for on-call.
+ *
+ *   GET  /api/admin/queue?peek=10[&list=dlq]   depth per lane + first N jobs (redacted)
+ *   POST { action: "requeue", jobId }          dead-letter list -> queue (409 if a newer job
+ *                                              for the ticket exists)
+ *   POST { action: "drop", jobId }             remove waiting copies of a job
+ *   POST { action: "purge" }                   returns a confirmToken (valid 60s)
+ *   POST { action: "purge", confirmToken }     empties every lane and the delayed retries
+ *                                              (in-flight jobs and the dead-letter list stay)
+ */
+async function handler(req, res) {
+  try {
+    const key = req.headers["x-worker-key"];
+    if (!safeEqual(key, WORKER_KEY)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (req.method === "GET") {
+      const peek = Math.max(0, Math.min(100, Number(req.query?.peek || 10)));
+      const deadLetter = req.query?.list === "dlq";
+      const jobs = peek ? await peekJobs(peek, { deadLetter }) : [];
+      return res.status(200).json({ ok: true, depth: await queueDepth(), jobs });
+    }
+
+    if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+    const { action, jobId, confirmToken } = req.body || {};
+
+    if (action === "requeue") {
+      if (!jobId) return res.status(400).json({ error: "Missing jobId" });
+      const result = await requeueDeadLetter(jobId);
+      if (!result) return res.status(404).json({ error: "Job not found on dead-letter list" });
+      if (result.superseded) {
+        return res.status(409).json({ error: "A newer job exists for this ticket; not requeued" });
+      }
+      return res.status(200).json({ ok: true, requeued: jobId });
+    }
+
+    if (action === "drop") {
+      if (!jobId) return res.status(400).json({ error: "Missing jobId" });
+      const dropped = await dropJob(jobId);
+      if (!dropped) return res.status(404).json({ error: "Job not found" });
+      return res.status(200).json({ ok: true, dropped });
+    }
+
+    if (action === "purge") {
+      if (!confirmToken) {
+        const token = await issuePurgeToken(60);
+        return res.status(200).json({ ok: true, confirmToken: token, expiresIn: 60, depth: await queueDepth() });
+      }
+      if (!(await consumePurgeToken(confirmToken))) {
+        return res.status(409).json({ error: "Invalid or expired confirmToken" });
+      }
+      await purgeQueue();
+      return res.status(200).json({ ok: true, purged: true, depth: await queueDepth() });
+    }
+
+    return res.status(400).json({ error: `Unknown action: ${action}` });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withNodeHelpers(handler);
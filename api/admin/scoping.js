@@ -0,0 +1,50 @@
+import { getScopingConfig, saveScopingConfig, compileScopingConfig } from "../../lib/scoping.js";
+import { safeEqual } from "../../lib/auth.js";
+import { withNodeHelpers } from "../../lib/node-helpers.js";
+
+export const config = { runtime: "nodejs" };
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const WORKER_KEY = mustEnv("WORKER_KEY");
+
+/**
+ * Per-company scoping config (see lib/scoping.js).
+ *
+ *   GET                  the active config (env/file or stored)
+ *   POST { config }      validate and store a new config; ignored while SCOPING_CONFIG or
+ *                        SCOPING_CONFIG_FILE is set
+ */
+async function handler(req, res) {
+  try {
+    const key = req.headers["x-worker-key"];
+    if (!safeEqual(key, WORKER_KEY)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, config: await getScopingConfig() });
+    }
+
+    if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+    const { config: next } = req.body || {};
+    if (!next) return res.status(400).json({ error: "Missing config" });
+    try {
+      compileScopingConfig(next);
+    } catch (e) {
+      return res.status(400).json({ error: String(e?.message || e) });
+    }
+    await saveScopingConfig(next);
+
+    const overridden = Boolean(process.env.SCOPING_CONFIG || process.env.SCOPING_CONFIG_FILE);
+    return res.status(200).json({ ok: true, saved: true, overridden });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withNodeHelpers(handler);
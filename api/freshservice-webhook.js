@@ -1,5 +1,16 @@
 import crypto from "crypto";
 import { enqueueJob, isDone } from "../lib/queue.js";
+import {
+  parseKeys,
+  matchesAnyKey,
+  readRawBody,
+  verifyBridgeSignature,
+  claimSignature,
+  releaseSignature,
+} from "../lib/auth.js";
+import { normalizeTicketPayload, parseFieldMap } from "../lib/ticket-payload.js";
+import { loadEligibilityRules, evaluateEligibility } from "../lib/eligibility.js";
+import { withNodeHelpers } from "../lib/node-helpers.js";
 
 export const config = { runtime: "nodejs" };
 
@@ -9,9 +20,68 @@ function mustEnv(name) {
   return v;
 }
 
-const BRIDGE_KEY = mustEnv("BRIDGE_KEY");
+// BRIDGE_KEY may list several comma-separated keys; all are accepted during a rotation.
+const BRIDGE_KEYS = parseKeys(mustEnv("BRIDGE_KEY"));
+// When true, the static X-Bridge-Key header is no longer enough: requests must be signed.
+// Signatures are checked over the exact request bytes, so deploy with NODEJS_HELPERS=0:
+// Vercel's body parser otherwise consumes them first and only compact-JSON bodies (which
+// re-serialize identically) verify. See lib/node-helpers.js.
+const BRIDGE_REQUIRE_SIGNATURE = process.env.BRIDGE_REQUIRE_SIGNATURE === "true";
+const BRIDGE_SIGNATURE_TOLERANCE_SECONDS = Math.max(
+  1,
+  Number(process.env.BRIDGE_SIGNATURE_TOLERANCE_SECONDS || 300)
+);
 const WORKER_KEY = mustEnv("WORKER_KEY"); // internal secret used to call worker
 
+// Optional JSON override of where each job field is read from in the webhook body.
+const FIELD_MAP = parseFieldMap(process.env.WEBHOOK_FIELD_MAP);
+
+// Which tickets are worth a runbook note at all (see lib/eligibility.js).
+const ELIGIBILITY_RULES = loadEligibilityRules({
+  json: process.env.ELIGIBILITY_RULES,
+  file: process.env.ELIGIBILITY_RULES_FILE,
+});
+
+// Hold new jobs this long before they become runnable, so a burst of edits to one ticket
+// collapses into the latest version. 0 = run immediately.
+const COALESCE_DEBOUNCE_SECONDS = Math.max(0, Number(process.env.COALESCE_DEBOUNCE_SECONDS || 0));
+
+/**
+ * Authenticate the request and return { body, claimed }, or null if it must be rejected.
+ * Signed requests are verified (and parsed) from the raw body, and their signature is
+ * claimed (`claimed`) so it can't be replayed; unsigned ones fall back to the static key
+ * unless BRIDGE_REQUIRE_SIGNATURE is set.
+ */
+async function authenticatedBody(req) {
+  const signature = req.headers["x-bridge-signature"];
+
+  if (signature || BRIDGE_REQUIRE_SIGNATURE) {
+    let rawBody = await readRawBody(req);
+    // Body already parsed by the platform: compact JSON is the best reconstruction.
+    if (rawBody == null && req.body && typeof req.body === "object") rawBody = JSON.stringify(req.body);
+    const check = verifyBridgeSignature({
+      signature,
+      timestamp: req.headers["x-bridge-timestamp"],
+      rawBody,
+      keys: BRIDGE_KEYS,
+      toleranceSeconds: BRIDGE_SIGNATURE_TOLERANCE_SECONDS,
+    });
+    if (!check.ok) {
+      console.warn("Webhook signature rejected:", check.reason);
+      return null;
+    }
+    const body = rawBody ? JSON.parse(rawBody) : {};
+    if (!(await claimSignature(signature, BRIDGE_SIGNATURE_TOLERANCE_SECONDS))) {
+      console.warn("Webhook signature rejected: already used");
+      return null;
+    }
+    return { body, claimed: signature };
+  }
+
+  if (!matchesAnyKey(req.headers["x-bridge-key"], BRIDGE_KEYS)) return null;
+  return { body: req.body || {}, claimed: null };
+}
+
 function jobIdFor(payload) {
   const s = JSON.stringify({
     ticketId: payload.ticketId,
@@ -19,34 +89,57 @@ function jobIdFor(payload) {
     subject: payload.subject,
     description: payload.description,
     vip: payload.vip,
+    // Only part of the id when set, so ids of real jobs are unchanged.
+    ...(payload.dryRun ? { dryRun: true } : {}),
   });
   return crypto.createHash("sha256").update(s).digest("hex");
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
+  // Signature claimed by this request; released again if it fails, so a retry isn't a replay.
+  let claimed = null;
   try {
     if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
 
-    const key = req.headers["x-bridge-key"];
-    if (key !== BRIDGE_KEY) return res.status(401).json({ error: "Unauthorized" });
+    let auth;
+    try {
+      auth = await authenticatedBody(req);
+    } catch (e) {
+      if (e instanceof SyntaxError) return res.status(400).json({ error: "Invalid JSON body" });
+      throw e;
+    }
+    if (!auth) return res.status(401).json({ error: "Unauthorized" });
+    const { body } = auth;
+    claimed = auth.claimed;
 
-    const { description = "", subject = "", company = "", ticketId, vip = false } = req.body || {};
+    const ticket = normalizeTicketPayload(body, FIELD_MAP);
+    const { description, subject, company, ticketId, vip } = ticket;
     if (!ticketId || !company) return res.status(400).json({ error: "Missing ticketId/company" });
 
-    const jobId = jobIdFor({ description, subject, company, ticketId, vip });
+    const eligibility = evaluateEligibility(ticket, ELIGIBILITY_RULES);
+    if (!eligibility.eligible) {
+      return res.status(200).json({ ok: true, skipped: true, reason: eligibility.reason });
+    }
+
+    // Dry-run jobs run the whole pipeline but store the note for /api/preview instead of posting it.
+    const dryRun = body.dryRun === true;
+    const jobId = jobIdFor({ description, subject, company, ticketId, vip, dryRun });
 
     // idempotency: if already done recently, return OK
     if (await isDone(jobId)) return res.status(200).json({ ok: true, deduped: true });
 
-    await enqueueJob({
+    const job = {
       jobId,
-      ticketId,
-      company,
-      subject,
-      description,
-      vip,
+      ...ticket,
+      ...(dryRun ? { dryRun: true } : {}),
       createdAt: Date.now(),
-    });
+    };
+    await enqueueJob(job, { delaySeconds: COALESCE_DEBOUNCE_SECONDS });
+
+    // Debounced jobs aren't runnable yet; the cron picks them up once the window passes.
+    if (COALESCE_DEBOUNCE_SECONDS > 0) {
+      return res.status(200).json({ ok: true, enqueued: true, jobId, debounceSeconds: COALESCE_DEBOUNCE_SECONDS });
+    }
 
     // Kick the worker (best effort). Don't wait for completion; cron will drain if this fails.
     // Build a reliable origin across Vercel prod/preview and proxies.
@@ -92,6 +185,11 @@ export default async function handler(req, res) {
     return res.status(200).json({ ok: true, enqueued: true, jobId });
   } catch (e) {
     console.error(e);
+    if (claimed) {
+      await releaseSignature(claimed).catch((err) => console.warn("Releasing webhook signature failed:", err?.message || err));
+    }
     return res.status(500).json({ error: String(e?.message || e) });
   }
 }
+
+export default withNodeHelpers(handler);
@@ -0,0 +1,38 @@
+import { breakerState } from "../lib/circuit-breaker.js";
+import { queueDepth } from "../lib/queue.js";
+import { safeEqual } from "../lib/auth.js";
+import { withNodeHelpers } from "../lib/node-helpers.js";
+
+export const config = { runtime: "nodejs" };
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const WORKER_KEY = mustEnv("WORKER_KEY");
+
+/**
+ * GET /api/health
+ * Liveness for uptime checks: { ok }, with 503 while the Guru circuit is open. Callers
+ * sending X-WORKER-KEY also get the breaker state and queue depth.
+ */
+async function handler(req, res) {
+  const detailed = safeEqual(req.headers["x-worker-key"], WORKER_KEY);
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+    const guru = await breakerState("guru");
+    const ok = guru.state !== "open";
+    if (!detailed) return res.status(ok ? 200 : 503).json({ ok });
+
+    const depth = await queueDepth();
+    return res.status(ok ? 200 : 503).json({ ok, breakers: { guru }, depth });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json(detailed ? { ok: false, error: String(e?.message || e) } : { ok: false });
+  }
+}
+
+export default withNodeHelpers(handler);
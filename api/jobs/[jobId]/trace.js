@@ -0,0 +1,37 @@
+import { safeEqual } from "../../../lib/auth.js";
+import { getTrace } from "../../../lib/trace.js";
+import { withNodeHelpers } from "../../../lib/node-helpers.js";
+
+export const config = { runtime: "nodejs" };
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const WORKER_KEY = mustEnv("WORKER_KEY");
+
+/**
+ * GET /api/jobs/:jobId/trace — per-stage execution trace of the job's last run.
+ */
+async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+    const key = req.headers["x-worker-key"];
+    if (!safeEqual(key, WORKER_KEY)) return res.status(401).json({ error: "Unauthorized" });
+
+    const jobId = req.query?.jobId;
+    if (!jobId) return res.status(400).json({ error: "Missing jobId" });
+
+    const trace = await getTrace(jobId);
+    if (!trace) return res.status(404).json({ error: "No trace for jobId (not run yet or expired)" });
+    return res.status(200).json({ ok: true, trace });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withNodeHelpers(handler);
@@ -0,0 +1,56 @@
+import { safeEqual } from "../lib/auth.js";
+import { normalizeTicketPayload, parseFieldMap } from "../lib/ticket-payload.js";
+import { runPipelineAndPostNote } from "../lib/pipeline.js";
+import { getPreview } from "../lib/previews.js";
+import { createTrace } from "../lib/trace.js";
+import { isCircuitOpenError } from "../lib/circuit-breaker.js";
+import { withNodeHelpers } from "../lib/node-helpers.js";
+
+export const config = { runtime: "nodejs" };
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const WORKER_KEY = mustEnv("WORKER_KEY");
+const FIELD_MAP = parseFieldMap(process.env.WEBHOOK_FIELD_MAP);
+
+/**
+ * Run the full pipeline on a sample ticket without posting a note.
+ *
+ *   POST <ticket payload>    same body shapes as the webhook; returns the query package,
+ *                            scoped + rejected sources, runbook JSON, rendered HTML
+ *                            and the per-stage trace
+ *   GET  ?jobId=<id>         result of a queued dry-run job (webhook body with dryRun: true)
+ */
+async function handler(req, res) {
+  try {
+    const key = req.headers["x-worker-key"];
+    if (!safeEqual(key, WORKER_KEY)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (req.method === "GET") {
+      const jobId = req.query?.jobId;
+      if (!jobId) return res.status(400).json({ error: "Missing jobId" });
+      const preview = await getPreview(jobId);
+      if (!preview) return res.status(404).json({ error: "No preview for jobId (not run yet or expired)" });
+      return res.status(200).json({ ok: true, jobId, preview });
+    }
+
+    if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+    const ticket = normalizeTicketPayload(req.body || {}, FIELD_MAP);
+    if (!ticket.company) return res.status(400).json({ error: "Missing company" });
+
+    const trace = createTrace(null);
+    const preview = await runPipelineAndPostNote(ticket, { dryRun: true, trace });
+    return res.status(200).json({ ok: true, preview, trace: trace.toJSON().stages });
+  } catch (e) {
+    if (isCircuitOpenError(e)) return res.status(503).json({ error: "Guru is unavailable (circuit open); try again shortly" });
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
+
+export default withNodeHelpers(handler);
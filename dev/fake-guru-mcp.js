@@ -0,0 +1,357 @@
+/**
+ * Offline stand-in for the Guru MCP server (https://mcp.api.getguru.com/mcp).
+ *
+ * Speaks MCP streamable HTTP (JSON-RPC over POST, JSON or SSE responses) and serves
+ * guru_search_documents, guru_get_card_by_id and guru_answer_generation from fixtures,
+ * so the scoping logic can be exercised without Guru credentials.
+ *
+ *   npm run fake-guru                        replay fixtures on :8787
+ *   npm run fake-guru:record                 proxy to real Guru, save redacted fixtures
+ *   GURU_MCP_URL=http://localhost:8787/mcp   point the bridge at it
+ *
+ * Fixtures (FAKE_GURU_FIXTURES, default dev/fixtures/guru):
+ *   tools.json                  tools/list result (built-in defaults when missing)
+ *   cards/<cardId>.json         guru_get_card_by_id results
+ *   calls/<tool>/<key>.json     { tool, query?, result } for search / answer calls; <key> is
+ *                               a hash of the arguments (agentId excluded). Only a search's
+ *                               query is kept for reference: answer questions embed ticket text.
+ * A search or answer without a recorded call falls back to keyword matching over cards/.
+ *
+ * Env: FAKE_GURU_PORT (8787), FAKE_GURU_SSE (answer | all | none; default answer),
+ * record mode also needs GURU_EMAIL, GURU_API_TOKEN and optionally GURU_MCP_UPSTREAM.
+ */
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { createMcpClient, MCP_PROTOCOL_VERSION } from "../lib/mcp-client.js";
+import { fetchWithRetry } from "../lib/http.js";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.resolve(process.env.FAKE_GURU_FIXTURES || path.join(HERE, "fixtures/guru"));
+const PORT = Number(process.env.FAKE_GURU_PORT || 8787);
+const SSE_MODE = process.env.FAKE_GURU_SSE || "answer";
+const RECORD = process.argv.includes("--record");
+const UPSTREAM = process.env.GURU_MCP_UPSTREAM || "https://mcp.api.getguru.com/mcp";
+
+const DEFAULT_TOOLS = [
+  {
+    name: "guru_search_documents",
+    description: "Search Guru cards",
+    inputSchema: {
+      type: "object",
+      properties: { query: { type: "string" }, agentId: { type: "string" } },
+      required: ["query"],
+    },
+  },
+  {
+    name: "guru_get_card_by_id",
+    description: "Fetch a Guru card",
+    inputSchema: { type: "object", properties: { id: { type: "string" } }, required: ["id"] },
+  },
+  {
+    name: "guru_answer_generation",
+    description: "Generate an answer from Guru knowledge",
+    inputSchema: {
+      type: "object",
+      properties: {
+        question: { type: "string" },
+        agentId: { type: "string" },
+        collectionIds: { type: "array", items: { type: "string" } },
+      },
+      required: ["question"],
+    },
+  },
+];
+
+/** -----------------------------
+ * Fixtures
+ * ----------------------------- */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + "\n");
+}
+
+function safeName(s) {
+  return String(s).replace(/[^a-zA-Z0-9_.-]/g, "_");
+}
+
+// Stable across agents and key order, so a recording replays for any GURU_AGENT_ID.
+function callKey(args) {
+  const { agentId, ...rest } = args || {};
+  const stable = JSON.stringify(Object.fromEntries(Object.entries(rest).sort(([a], [b]) => a.localeCompare(b))));
+  return crypto.createHash("sha1").update(stable).digest("hex").slice(0, 16);
+}
+
+const cardFile = (id) => path.join(FIXTURES, "cards", `${safeName(id)}.json`);
+const callFile = (tool, args) => path.join(FIXTURES, "calls", tool, `${callKey(args)}.json`);
+
+function loadCards() {
+  const dir = path.join(FIXTURES, "cards");
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => unwrapCard(readJson(path.join(dir, f))))
+    .filter((c) => c?.id);
+}
+
+// Recorded results may be the card itself or an MCP content wrapper around it.
+function unwrapCard(result) {
+  const text = result?.content?.[0]?.text;
+  if (typeof text === "string") {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  }
+  return result;
+}
+
+/** -----------------------------
+ * Redaction (record mode)
+ * ----------------------------- */
+const REDACT_KEYS = new Set(
+  ["owner", "originalOwner", "lastModifiedBy", "lastVerifiedBy", "verifiers", "verifier", "createdBy", "user", "author"]
+    .concat((process.env.FAKE_GURU_REDACT_KEYS || "").split(",").map((s) => s.trim()))
+    .filter(Boolean)
+);
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+function redact(value) {
+  if (typeof value === "string") return value.replace(EMAIL, "redacted@example.com");
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = REDACT_KEYS.has(k) ? "[redacted]" : redact(v);
+    return out;
+  }
+  return value;
+}
+
+// Text content often carries JSON; redact inside it too.
+function redactResult(result) {
+  const r = redact(result);
+  for (const c of r?.content || []) {
+    if (c?.type !== "text" || typeof c.text !== "string") continue;
+    try {
+      c.text = JSON.stringify(redact(JSON.parse(c.text)));
+    } catch {
+      // plain text: email redaction above is all we can do
+    }
+  }
+  return r;
+}
+
+/** -----------------------------
+ * Replay
+ * ----------------------------- */
+class ToolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function tokens(s) {
+  return String(s || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 2);
+}
+
+function rankCards(query) {
+  const q = tokens(query);
+  return loadCards()
+    .map((c) => {
+      const hay = new Set(tokens(`${c.preferredPhrase || c.title || ""} ${c.content || ""} ${(c.boards || []).map((b) => b.title).join(" ")}`));
+      return { c, score: q.filter((t) => hay.has(t)).length };
+    })
+    .filter((x) => x.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map((x) => x.c);
+}
+
+const textResult = (value) => ({ content: [{ type: "text", text: JSON.stringify(value) }] });
+
+function replayTool(name, args) {
+  if (name === "guru_get_card_by_id") {
+    const card = readJson(cardFile(args.id));
+    if (!card) throw new ToolError(-32602, `Card not found: ${args.id}`);
+    return card;
+  }
+
+  const recorded = readJson(callFile(name, args));
+  if (recorded) return recorded.result;
+
+  if (name === "guru_search_documents") {
+    return textResult(rankCards(args.query).slice(0, 10).map((c) => ({ id: c.id, title: c.preferredPhrase || c.title, lastModified: c.lastModified })));
+  }
+
+  if (name === "guru_answer_generation") {
+    const allowed = new Set(args.collectionIds || []);
+    const hits = rankCards(args.question).filter((c) => !allowed.size || allowed.has(c.collection?.id)).slice(0, 3);
+    return textResult({
+      answer: hits.length
+        ? hits.map((c) => `${c.preferredPhrase || c.title}: ${String(c.content || "").slice(0, 300)}`).join("\n\n")
+        : "No fixture covers this question.",
+      sources: hits.map((c) => ({ id: c.id, title: c.preferredPhrase || c.title })),
+    });
+  }
+
+  throw new ToolError(-32601, `Unknown tool: ${name}`);
+}
+
+/** -----------------------------
+ * Record
+ * ----------------------------- */
+let upstream = null;
+function upstreamClient() {
+  if (upstream) return upstream;
+  const { GURU_EMAIL, GURU_API_TOKEN } = process.env;
+  if (!GURU_EMAIL || !GURU_API_TOKEN) throw new Error("Record mode needs GURU_EMAIL and GURU_API_TOKEN");
+  upstream = createMcpClient({
+    service: "guru",
+    headers: { Authorization: `Basic ${Buffer.from(`${GURU_EMAIL}:${GURU_API_TOKEN}`).toString("base64")}` },
+    send: (init) => fetchWithRetry(UPSTREAM, init, { service: "guru", signal: () => AbortSignal.timeout(120_000) }),
+  });
+  return upstream;
+}
+
+async function recordTool(name, args) {
+  const result = redactResult(await upstreamClient().callTool(name, args));
+  if (name === "guru_get_card_by_id") writeJson(cardFile(args.id), result);
+  else {
+    const query = name === "guru_search_documents" ? { query: redact(args.query) } : {};
+    writeJson(callFile(name, args), { tool: name, ...query, result });
+  }
+  console.log(`recorded ${name} ${name === "guru_get_card_by_id" ? args.id : callKey(args)}`);
+  return result;
+}
+
+async function listTools() {
+  if (RECORD) {
+    const tools = [...(await upstreamClient().listTools()).values()];
+    writeJson(path.join(FIXTURES, "tools.json"), { tools });
+    return { tools };
+  }
+  return readJson(path.join(FIXTURES, "tools.json")) || { tools: DEFAULT_TOOLS };
+}
+
+/** -----------------------------
+ * MCP transport
+ * ----------------------------- */
+const sessions = new Set();
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function wantsSse(req, toolName) {
+  if (!String(req.headers.accept || "").includes("text/event-stream")) return false;
+  if (SSE_MODE === "all") return true;
+  return SSE_MODE === "answer" && toolName === "guru_answer_generation";
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function handleRpc(msg, req, res) {
+  const reply = (result) => sendJson(res, 200, { jsonrpc: "2.0", id: msg.id, result });
+  const fail = (code, message) => sendJson(res, 200, { jsonrpc: "2.0", id: msg.id, error: { code, message } });
+
+  if (msg.method === "initialize") {
+    const sessionId = crypto.randomUUID();
+    sessions.add(sessionId);
+    return sendJson(
+      res,
+      200,
+      {
+        jsonrpc: "2.0",
+        id: msg.id,
+        result: {
+          protocolVersion: MCP_PROTOCOL_VERSION,
+          capabilities: { tools: {}, logging: {} },
+          serverInfo: { name: "fake-guru-mcp", version: "1.0.0" },
+        },
+      },
+      { "Mcp-Session-Id": sessionId }
+    );
+  }
+
+  const sessionId = req.headers["mcp-session-id"];
+  if (!sessionId) return sendJson(res, 400, { error: "Missing Mcp-Session-Id" });
+  if (!sessions.has(sessionId)) return sendJson(res, 404, { error: "Unknown session" });
+
+  // Notifications get no response body.
+  if (!("id" in msg)) return sendJson(res, 202);
+
+  if (msg.method === "ping" || msg.method === "logging/setLevel") return reply({});
+  if (msg.method === "tools/list") return reply(await listTools());
+  if (msg.method !== "tools/call") return fail(-32601, `Method not found: ${msg.method}`);
+
+  const { name, arguments: args = {}, _meta } = msg.params || {};
+  let outcome;
+  try {
+    outcome = { result: RECORD ? await recordTool(name, args) : replayTool(name, args) };
+  } catch (e) {
+    outcome = { error: { code: e.code || -32603, message: String(e?.message || e) } };
+  }
+
+  if (!wantsSse(req, name)) return sendJson(res, 200, { jsonrpc: "2.0", id: msg.id, ...outcome });
+
+  // Stream like Guru does for long calls: progress + a log line, then the response.
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+  const event = (data) => res.write(`event: message\ndata: ${JSON.stringify(data)}\n\n`);
+  if (_meta?.progressToken != null) {
+    event({ jsonrpc: "2.0", method: "notifications/progress", params: { progressToken: _meta.progressToken, progress: 1, total: 2, message: "searching" } });
+  }
+  event({ jsonrpc: "2.0", method: "notifications/message", params: { level: "info", logger: "fake-guru", data: `tools/call ${name}` } });
+  if (_meta?.progressToken != null) {
+    event({ jsonrpc: "2.0", method: "notifications/progress", params: { progressToken: _meta.progressToken, progress: 2, total: 2 } });
+  }
+  event({ jsonrpc: "2.0", id: msg.id, ...outcome });
+  res.end();
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    if (req.method === "DELETE") {
+      sessions.delete(req.headers["mcp-session-id"]);
+      return sendJson(res, 200, {});
+    }
+    if (req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+
+    let msg;
+    try {
+      msg = JSON.parse(await readBody(req));
+    } catch {
+      return sendJson(res, 400, { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+    }
+    await handleRpc(msg, req, res);
+  } catch (e) {
+    console.error(e);
+    if (!res.headersSent) sendJson(res, 500, { error: String(e?.message || e) });
+    else res.end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Fake Guru MCP on http://localhost:${PORT}/mcp (${RECORD ? `recording from ${UPSTREAM}` : "replay"}; fixtures ${FIXTURES})`);
+});
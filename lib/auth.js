@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { getStore } from "./storage.js";
+
+/**
+ * Shared-secret helpers for the webhook, worker and admin routes.
+ *
+ * Webhook signatures: X-Bridge-Timestamp is unix seconds, X-Bridge-Signature is
+ * "sha256=" + hex HMAC-SHA256(key, `${timestamp}.${rawBody}`). Each signature is accepted
+ * once (see claimSignature), so a captured request can't be replayed inside the window.
+ */
+
+// Comma-separated secrets, so a new key can be rolled out before the old one is removed.
+export function parseKeys(value) {
+  return String(value || "")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+}
+
+// Constant-time string compare (length mismatch still does a compare of equal cost).
+export function safeEqual(a, b) {
+  const ab = Buffer.from(String(a ?? ""));
+  const bb = Buffer.from(String(b ?? ""));
+  if (ab.length !== bb.length) {
+    crypto.timingSafeEqual(ab, ab);
+    return false;
+  }
+  return crypto.timingSafeEqual(ab, bb);
+}
+
+// Checks every key without short-circuiting so timing doesn't reveal which one matched.
+export function matchesAnyKey(candidate, keys) {
+  if (!candidate) return false;
+  let ok = false;
+  for (const k of keys) ok = safeEqual(candidate, k) || ok;
+  return ok;
+}
+
+export function signBridgePayload(key, timestamp, rawBody) {
+  return crypto.createHmac("sha256", key).update(`${timestamp}.${rawBody}`).digest("hex");
+}
+
+export function verifyBridgeSignature({ signature, timestamp, rawBody, keys, toleranceSeconds = 300 }) {
+  if (!signature || !timestamp) return { ok: false, reason: "missing signature or timestamp" };
+  if (rawBody == null) return { ok: false, reason: "raw body unavailable" };
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return { ok: false, reason: "invalid timestamp" };
+  if (Math.abs(Date.now() / 1000 - ts) > toleranceSeconds) return { ok: false, reason: "timestamp outside tolerance" };
+
+  const provided = String(signature).replace(/^sha256=/i, "").trim().toLowerCase();
+  const expected = keys.map((k) => signBridgePayload(k, timestamp, rawBody));
+  if (!matchesAnyKey(provided, expected)) return { ok: false, reason: "signature mismatch" };
+
+  return { ok: true };
+}
+
+/**
+ * The exact request bytes are needed for HMAC verification; re-serializing req.body
+ * would not reproduce the sender's whitespace/key order.
+ */
+export async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody.toString("utf8");
+  if (typeof req.rawBody === "string") return req.rawBody;
+
+  if (req.readable && !req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    const raw = Buffer.concat(chunks).toString("utf8");
+    req.rawBody = raw;
+    return raw;
+  }
+
+  if (typeof req.body === "string") return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString("utf8");
+  return null;
+}
+
+const SEEN_SIGNATURE_PREFIX = "fs:guru:webhook:sig:";
+
+/**
+ * Record a verified signature; false if it was already used. Kept for the whole window
+ * the timestamp check accepts (tolerance on either side of now).
+ */
+export async function claimSignature(signature, toleranceSeconds) {
+  const sig = String(signature).replace(/^sha256=/i, "").trim().toLowerCase();
+  const store = await getStore();
+  return store.set(`${SEEN_SIGNATURE_PREFIX}${sig}`, "1", { nx: true, ex: Math.ceil(toleranceSeconds * 2) });
+}
+
+// Give a claimed signature back when the request failed, so the sender's retry is accepted.
+export async function releaseSignature(signature) {
+  const sig = String(signature).replace(/^sha256=/i, "").trim().toLowerCase();
+  const store = await getStore();
+  await store.del(`${SEEN_SIGNATURE_PREFIX}${sig}`);
+}
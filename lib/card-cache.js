@@ -0,0 +1,110 @@
+import { getStore } from "./storage.js";
+
+/**
+ * Document (card) lookups for one pipeline run.
+ *
+ * Each id is fetched at most once per run, however many result lists it shows up in.
+ * For providers with `cacheDocuments` set, full documents are also kept in the store
+ * across jobs, keyed by id + lastModified, so an edited card is always refetched:
+ *   fs:guru:card:<provider>:<id>@<lastModified>   the document (CARD_CACHE_TTL_SECONDS, default 1 day)
+ *   fs:guru:card:<provider>:<id>                  lastModified of the newest copy we fetched
+ * Search hits carry lastModified and use the versioned entry directly. Lookups without
+ * it (answer sources) trust the newest copy for CARD_CACHE_LATEST_TTL_SECONDS (default
+ * 5 minutes). Documents without id or lastModified can't be versioned and aren't kept
+ * (logged). Store failures are logged and treated as a miss.
+ */
+
+const TTL_SECONDS = Number(process.env.CARD_CACHE_TTL_SECONDS || 24 * 60 * 60);
+const LATEST_TTL_SECONDS = Number(process.env.CARD_CACHE_LATEST_TTL_SECONDS || 5 * 60);
+
+// How many lookups a hydration or scope check runs at once.
+export const HYDRATION_CONCURRENCY = Math.max(1, Number(process.env.HYDRATION_CONCURRENCY || 4));
+
+/**
+ * Map over items with at most `limit` calls in flight; results keep input order.
+ * The first rejection stops new calls from starting and is rethrown.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const i = next++;
+      try {
+        out[i] = await fn(items[i], i);
+      } catch (e) {
+        failed = true;
+        throw e;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+export function createCardCache(provider, ctx = {}) {
+  const run = new Map(); // id -> Promise<document>
+  const stats = { runHits: 0, storeHits: 0, fetched: 0 };
+  const key = (id, version) => `fs:guru:card:${provider.name}:${id}${version ? `@${version}` : ""}`;
+
+  async function fromStore(id, lastModified) {
+    try {
+      const store = await getStore();
+      const version = lastModified || (await store.get(key(id)));
+      const raw = version ? await store.get(key(id, version)) : null;
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      console.warn("Card cache read failed:", e?.message || e);
+      return null;
+    }
+  }
+
+  async function toStore(doc) {
+    if (!doc?.id || !doc.lastModified) {
+      console.warn(`Card cache skipped ${doc?.id || "a document"}: no ${doc?.id ? "lastModified" : "id"}`);
+      return;
+    }
+    try {
+      const store = await getStore();
+      await store.set(key(doc.id, doc.lastModified), JSON.stringify(doc), { ex: TTL_SECONDS });
+      await store.set(key(doc.id), String(doc.lastModified), { ex: LATEST_TTL_SECONDS });
+    } catch (e) {
+      console.warn("Card cache write failed:", e?.message || e);
+    }
+  }
+
+  async function load(id, lastModified) {
+    if (provider.cacheDocuments) {
+      const cached = await fromStore(id, lastModified);
+      if (cached) {
+        stats.storeHits++;
+        return cached;
+      }
+    }
+
+    const doc = await provider.getDocument(id, ctx);
+    stats.fetched++;
+    if (provider.cacheDocuments) await toStore(doc);
+    return doc;
+  }
+
+  return {
+    stats,
+
+    // `lastModified` is the version the caller saw (e.g. on a search hit), if any.
+    get(id, { lastModified } = {}) {
+      if (run.has(id)) {
+        stats.runHits++;
+        return run.get(id);
+      }
+      const pending = load(id, lastModified);
+      run.set(id, pending);
+      // Failed lookups aren't cached; a later caller may retry.
+      pending.catch(() => run.delete(id));
+      return pending;
+    },
+  };
+}
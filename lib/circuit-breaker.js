@@ -0,0 +1,113 @@
+import { getStore } from "./storage.js";
+
+/**
+ * Circuit breaker with its state in the store, so every serverless invocation sees the
+ * same circuit.
+ *
+ *   closed     calls go through; failures are counted over a sliding window
+ *   open       FAILURE_THRESHOLD failures in the window: calls fail fast for OPEN_SECONDS
+ *   half-open  open period elapsed: one caller gets the probe, everyone else still fails
+ *              fast; the probe's success closes the circuit, its failure re-opens it
+ */
+
+const BREAKER_PREFIX = "fs:guru:breaker:"; // breaker:<name>:{failures,open,tripped,probe}
+
+const FAILURE_THRESHOLD = Math.max(1, Number(process.env.GURU_BREAKER_FAILURE_THRESHOLD || 5));
+const FAILURE_WINDOW_SECONDS = Math.max(10, Number(process.env.GURU_BREAKER_WINDOW_SECONDS || 120));
+const OPEN_SECONDS = Math.max(5, Number(process.env.GURU_BREAKER_OPEN_SECONDS || 60));
+const PROBE_TTL_SECONDS = 120; // a probe that never reports back frees the slot after this
+
+export class CircuitOpenError extends Error {
+  constructor(name) {
+    super(`Circuit "${name}" is open`);
+    this.name = "CircuitOpenError";
+    this.circuit = name;
+  }
+}
+
+export function isCircuitOpenError(err) {
+  return err?.name === "CircuitOpenError";
+}
+
+function keys(name) {
+  const base = `${BREAKER_PREFIX}${name}`;
+  return {
+    failures: `${base}:failures`,
+    open: `${base}:open`, // value: openUntil (ms); expires when the open period ends
+    tripped: `${base}:tripped`, // set from the first trip until a successful probe
+    probe: `${base}:probe`,
+  };
+}
+
+export async function breakerState(name) {
+  const store = await getStore();
+  const k = keys(name);
+  const [openUntil, tripped, failures] = await Promise.all([store.get(k.open), store.get(k.tripped), store.get(k.failures)]);
+
+  const state = openUntil ? "open" : tripped ? "half-open" : "closed";
+  return {
+    name,
+    state,
+    failures: Number(failures) || 0,
+    openUntil: openUntil ? Number(openUntil) : null,
+    threshold: FAILURE_THRESHOLD,
+  };
+}
+
+/**
+ * Throws CircuitOpenError unless a call may go ahead. In half-open state only the
+ * caller that wins the probe slot gets through.
+ */
+export async function guardCircuit(name) {
+  const store = await getStore();
+  const k = keys(name);
+  if (!(await store.get(k.tripped))) return; // closed: the common case costs one read
+
+  if (await store.get(k.open)) throw new CircuitOpenError(name);
+  if (!(await store.set(k.probe, String(Date.now()), { nx: true, ex: PROBE_TTL_SECONDS }))) {
+    throw new CircuitOpenError(name);
+  }
+}
+
+export async function recordSuccess(name) {
+  const store = await getStore();
+  const k = keys(name);
+  await store.del(k.failures, k.open, k.tripped, k.probe);
+}
+
+export async function recordFailure(name) {
+  const store = await getStore();
+  const k = keys(name);
+
+  const failures = await store.incr(k.failures);
+  if (failures === 1) await store.expire(k.failures, FAILURE_WINDOW_SECONDS);
+
+  // A failed probe re-opens straight away.
+  const halfOpen = Boolean(await store.get(k.tripped));
+  if (!halfOpen && failures < FAILURE_THRESHOLD) return;
+
+  const openUntil = Date.now() + OPEN_SECONDS * 1000;
+  await store.set(k.open, String(openUntil), { ex: OPEN_SECONDS });
+  await store.set(k.tripped, String(Date.now()));
+  await store.del(k.probe);
+  if (!halfOpen) console.warn(`Circuit "${name}" opened after ${failures} failures; retry after ${OPEN_SECONDS}s`);
+}
+
+/**
+ * Run fn() through the breaker. Only errors `countsAsFailure` accepts (outages, not bad
+ * requests) move the circuit towards open; `ignore` errors (e.g. our own time budget
+ * running out) say nothing about the service and just free a probe slot.
+ */
+export async function withCircuitBreaker(name, fn, { countsAsFailure = () => true, ignore = () => false } = {}) {
+  await guardCircuit(name);
+  try {
+    const out = await fn();
+    await recordSuccess(name);
+    return out;
+  } catch (e) {
+    if (ignore(e)) await (await getStore()).del(keys(name).probe);
+    else if (countsAsFailure(e)) await recordFailure(name);
+    else await recordSuccess(name);
+    throw e;
+  }
+}
@@ -0,0 +1,49 @@
+import { getStore } from "./storage.js";
+import { companyTokens } from "./company-match.js";
+
+/**
+ * Running counters of cross-client citation attempts: answer sources that sat in the
+ * clients collection but on another company's board. A card that keeps turning up for
+ * the wrong company is usually mis-filed.
+ *
+ *   fs:guru:cross-client:<company>                 attempts for the company
+ *   fs:guru:cross-client:<company>:card:<id>       attempts citing that card
+ *   fs:guru:cross-client:<company>:cards           zset of card ids, scored by last attempt
+ *   fs:guru:cross-client-job:<jobId>               marker: this job was already counted
+ *
+ * Counting is best-effort: store failures are logged, never fail the job.
+ */
+
+const prefix = (company) => `fs:guru:cross-client:${companyTokens(company).join(" ")}`;
+
+const JOB_MARKER_TTL_SECONDS = 7 * 24 * 3600;
+
+// With a jobId, a job that runs again (retry after a failed ack, lease reap) isn't counted twice.
+export async function recordCrossClientCitations(company, cardIds, { jobId } = {}) {
+  if (!cardIds.length) return;
+  try {
+    const store = await getStore();
+    if (jobId && !(await store.set(`fs:guru:cross-client-job:${jobId}`, "1", { nx: true, ex: JOB_MARKER_TTL_SECONDS }))) {
+      return;
+    }
+    const base = prefix(company);
+    for (const id of new Set(cardIds)) {
+      await store.incr(base);
+      await store.incr(`${base}:card:${id}`);
+      await store.zadd(`${base}:cards`, Date.now(), id);
+    }
+  } catch (e) {
+    console.warn("Cross-client citation counter failed:", e?.message || e);
+  }
+}
+
+// -> { company, attempts, cards: [{ id, attempts }] } with the most recent cards first.
+export async function crossClientCitations(company, { limit = 50 } = {}) {
+  const store = await getStore();
+  const base = prefix(company);
+  const ids = (await store.zrangeByScore(`${base}:cards`, 0, Number.MAX_SAFE_INTEGER, { count: 1000 })) || [];
+  const recent = ids.reverse().slice(0, limit);
+  const cards = [];
+  for (const id of recent) cards.push({ id, attempts: Number(await store.get(`${base}:card:${id}`)) || 0 });
+  return { company, attempts: Number(await store.get(base)) || 0, cards };
+}
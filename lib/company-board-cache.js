@@ -0,0 +1,59 @@
+import { getStore } from "./storage.js";
+import { companyTokens } from "./company-match.js";
+
+/**
+ * Company -> board resolutions, cached in the store so jobs don't rediscover a board that
+ * almost never moves. Keyed per knowledge provider (board ids are provider-specific) and
+ * per normalized company name, so "Acme Corp" and "ACME Corporation" share an entry.
+ *
+ * Resolved entries expire after COMPANY_BOARD_CACHE_TTL_SECONDS (default 7 days).
+ * Overrides set through api/admin/company-board.js never expire; delete them to go back
+ * to discovery. Store failures are logged and treated as a miss.
+ */
+
+const TTL_SECONDS = Number(process.env.COMPANY_BOARD_CACHE_TTL_SECONDS || 7 * 24 * 60 * 60);
+
+export function companyBoardKey(provider, company) {
+  return `fs:guru:company-board:${provider}:${companyTokens(company).join(" ")}`;
+}
+
+// { boardId, boardTitle, confidence, method, override, cachedAt } or null.
+export async function getCachedCompanyBoard(provider, company) {
+  try {
+    const raw = await (await getStore()).get(companyBoardKey(provider, company));
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn("Company board cache read failed:", e?.message || e);
+    return null;
+  }
+}
+
+// Only confident matches are worth remembering; ambiguous ones are retried next job.
+export async function cacheCompanyBoard(provider, company, match) {
+  if (!match?.boardId || match.ambiguous) return false;
+  const entry = {
+    boardId: match.boardId,
+    boardTitle: match.boardTitle || null,
+    confidence: match.confidence ?? null,
+    method: match.method || null,
+    override: false,
+    cachedAt: new Date().toISOString(),
+  };
+  try {
+    return await (await getStore()).set(companyBoardKey(provider, company), JSON.stringify(entry), { ex: TTL_SECONDS });
+  } catch (e) {
+    console.warn("Company board cache write failed:", e?.message || e);
+    return false;
+  }
+}
+
+export async function overrideCompanyBoard(provider, company, { boardId, boardTitle = null }) {
+  if (!boardId) throw new Error("Missing boardId");
+  const entry = { boardId: String(boardId), boardTitle, confidence: 1, method: "override", override: true, cachedAt: new Date().toISOString() };
+  await (await getStore()).set(companyBoardKey(provider, company), JSON.stringify(entry));
+  return entry;
+}
+
+export async function invalidateCompanyBoard(provider, company) {
+  return (await (await getStore()).del(companyBoardKey(provider, company))) > 0;
+}
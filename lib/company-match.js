@@ -0,0 +1,113 @@
+/**
+ * Resolving a Freshservice company name to a knowledge board (Guru board / runbook folder).
+ *
+ * Names are normalized (case, punctuation, "&", legal suffixes such as Inc/LLC/Corp) and
+ * compared as token sets, so "Acme Corp" matches "ACME Corporation" but "Ace" no longer
+ * matches "Acme Services". Aliases come from the company's scoping entry (lib/scoping.js)
+ * and count as exact names. A board is only picked when it scores at least
+ * COMPANY_MATCH_THRESHOLD (default 0.6), beats any other candidate by more than
+ * COMPANY_MATCH_MARGIN (default 0.1), and, short of an exact name, shares at least two
+ * words with it: one common word ("Acme" vs "Acme Health") is too weak to pick a board
+ * that later jobs reuse. Anything else is reported as ambiguous with its candidates.
+ */
+
+const THRESHOLD = Number(process.env.COMPANY_MATCH_THRESHOLD || 0.6);
+const MARGIN = Number(process.env.COMPANY_MATCH_MARGIN || 0.1);
+const MIN_SHARED_TOKENS = 2;
+
+const LEGAL_SUFFIXES = new Set([
+  "inc", "incorporated", "llc", "llp", "lp", "pllc", "ltd", "limited", "corp", "corporation",
+  "co", "company", "plc", "pc", "gmbh", "ag", "sa", "bv", "pty",
+]);
+
+export function companyTokens(name) {
+  const words = String(name || "")
+    .toLowerCase()
+    .replaceAll("&", " and ")
+    .replace(/['’.]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const kept = words.filter((w) => !LEGAL_SUFFIXES.has(w) && w !== "the");
+  // A name made only of suffixes ("The Company") keeps its words.
+  return kept.length ? kept : words;
+}
+
+function sharedTokens(a, b) {
+  const sb = new Set(companyTokens(b));
+  return new Set(companyTokens(a).filter((t) => sb.has(t))).size;
+}
+
+// 1 for the same normalized name, otherwise the Dice coefficient of the token sets.
+export function companySimilarity(a, b) {
+  const ta = companyTokens(a);
+  const tb = companyTokens(b);
+  if (!ta.length || !tb.length) return 0;
+  if (ta.join("") === tb.join("")) return 1;
+  return (2 * sharedTokens(a, b)) / (new Set(ta).size + new Set(tb).size);
+}
+
+// Best score of a board title against the company name and its aliases; `pickable` when
+// the score is high enough to choose the board on its own (see the header).
+function scoreTitle(title, names) {
+  let best = { score: 0, name: null, pickable: false };
+  for (const name of names) {
+    const score = companySimilarity(name, title);
+    const pickable = score === 1 || (score >= THRESHOLD && sharedTokens(name, title) >= MIN_SHARED_TOKENS);
+    if (score > best.score || (score === best.score && pickable && !best.pickable)) best = { score, name, pickable };
+  }
+  return best;
+}
+
+export function matchesCompany(title, company, aliases = []) {
+  return scoreTitle(title, [company, ...aliases]).pickable;
+}
+
+/**
+ * Pick the company's board from the boards on `results` (cards).
+ * Returns null when no board clears the threshold, otherwise
+ *   { boardId, boardTitle, confidence, method: "name" | "alias", ambiguous, candidates }
+ * where an ambiguous match has boardId null and lists the close candidates.
+ */
+export function resolveCompanyBoard(results, company, { aliases = [] } = {}) {
+  const names = [company, ...aliases].filter(Boolean);
+  const boards = new Map();
+  for (const card of results || []) {
+    for (const b of Array.isArray(card?.boards) ? card.boards : []) {
+      if (b?.id && !boards.has(b.id)) boards.set(b.id, b);
+    }
+  }
+
+  const scored = [...boards.values()]
+    .map((b) => ({ id: b.id, title: b.title, ...scoreTitle(b.title, names) }))
+    .filter((c) => c.score >= THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+  if (!scored.length) return null;
+
+  const [best, ...rest] = scored;
+  const close = rest.filter((c) => best.score - c.score <= MARGIN);
+  const round = (n) => Math.round(n * 100) / 100;
+  const candidates = [best, ...close].slice(0, 3).map((c) => ({ id: c.id, title: c.title, score: round(c.score) }));
+
+  if (close.length || !best.pickable) {
+    return { boardId: null, boardTitle: null, confidence: round(best.score), method: null, ambiguous: true, candidates };
+  }
+  return {
+    boardId: best.id,
+    boardTitle: best.title,
+    confidence: round(best.score),
+    method: best.name === company ? "name" : "alias",
+    ambiguous: false,
+    candidates,
+  };
+}
+
+// One-line summary for the note footer.
+export function describeCompanyMatch(match) {
+  if (!match) return "none";
+  if (match.method === "configured") return "configured";
+  if (match.ambiguous) {
+    return `ambiguous (${match.candidates.map((c) => `${c.title} ${c.score}`).join(" vs ")})`;
+  }
+  const how = match.method === "override" ? "override" : `${match.method} ${match.confidence}`;
+  return `${match.boardTitle || match.boardId} (${how}${match.cached ? ", cached" : ""})`;
+}
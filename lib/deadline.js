@@ -0,0 +1,67 @@
+/**
+ * Time budget for one worker invocation. Outbound calls take their AbortSignal from
+ * here so nothing outlives the function's maxDuration.
+ */
+export class DeadlineExceededError extends Error {
+  constructor(message = "Worker time budget exhausted") {
+    super(message);
+    this.name = "DeadlineExceededError";
+  }
+}
+
+export function createDeadline(budgetMs) {
+  return deadlineAt(Date.now() + budgetMs);
+}
+
+function deadlineAt(at) {
+  const controller = new AbortController();
+
+  const deadline = {
+    deadlineAt: at,
+    // Set once abort() has ended the deadline early.
+    aborted: null,
+
+    remaining() {
+      return deadline.aborted ? 0 : Math.max(0, at - Date.now());
+    },
+
+    expired() {
+      return Boolean(deadline.aborted) || Date.now() >= at;
+    },
+
+    // Signal for one outbound call: aborts at min(remaining budget, maxMs), or on abort().
+    signal(maxMs = Infinity) {
+      controller.signal.throwIfAborted();
+      const ms = Math.min(at - Date.now(), maxMs);
+      if (ms <= 0) throw new DeadlineExceededError();
+      return AbortSignal.any([controller.signal, AbortSignal.timeout(ms)]);
+    },
+
+    // End the deadline now, e.g. when the job's lock is lost: calls in flight are aborted
+    // and later ones fail, both with a DeadlineExceededError carrying `message`.
+    abort(message) {
+      if (deadline.aborted) return;
+      deadline.aborted = message;
+      controller.abort(new DeadlineExceededError(message));
+    },
+
+    throwIfAborted() {
+      controller.signal.throwIfAborted();
+    },
+
+    // Same time budget, aborted separately: one per job, so a lost job doesn't stop the run.
+    child() {
+      return deadlineAt(at);
+    },
+  };
+  return deadline;
+}
+
+// True when `err` was caused by the budget running out rather than by the call itself.
+export function isDeadlineError(err, deadline) {
+  if (err?.name === "DeadlineExceededError") return true;
+  // The OpenAI SDK wraps aborts in APIUserAbortError, which keeps the generic "Error" name.
+  const names = ["AbortError", "TimeoutError", "APIUserAbortError"];
+  const aborted = names.includes(err?.name) || names.includes(err?.constructor?.name);
+  return aborted && Boolean(deadline?.expired());
+}
@@ -0,0 +1,94 @@
+import fs from "fs";
+
+/**
+ * Ticket eligibility rules, evaluated at the webhook before anything is enqueued.
+ *
+ * Rules come from ELIGIBILITY_RULES (JSON) or ELIGIBILITY_RULES_FILE (path to JSON):
+ *   {
+ *     "include": { "categories": [], "groups": [], "sources": [], "requesterDomains": [],
+ *                  "companies": [], "subjectPatterns": [] },
+ *     "exclude": { ...same keys... }
+ *   }
+ * A ticket is skipped if it matches ANY exclude list, or if an include list is set for a
+ * criterion and the ticket doesn't match it. Lists match case-insensitively; subject
+ * patterns are regular expressions. No rules = every ticket is eligible.
+ */
+
+// Freshservice ticket source codes.
+const SOURCE_NAMES = {
+  1: "email",
+  2: "portal",
+  3: "phone",
+  4: "chat",
+  5: "feedback_widget",
+  6: "yammer",
+  7: "aws_cloudwatch",
+  8: "pagerduty",
+  9: "walkup",
+  10: "slack",
+};
+
+const CRITERIA = {
+  categories: (t) => [t.category],
+  groups: (t) => [t.group],
+  sources: (t) => [sourceName(t.source)],
+  requesterDomains: (t) => [String(t.requesterEmail || "").split("@")[1]],
+  companies: (t) => [t.company],
+};
+
+function norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+function sourceName(source) {
+  if (source == null || source === "") return "";
+  return SOURCE_NAMES[Number(source)] || norm(source);
+}
+
+function compile(section = {}) {
+  const out = {};
+  for (const key of Object.keys(CRITERIA)) {
+    if (Array.isArray(section[key]) && section[key].length) out[key] = section[key].map(norm);
+  }
+  if (Array.isArray(section.subjectPatterns) && section.subjectPatterns.length) {
+    out.subjectPatterns = section.subjectPatterns.map((p) => new RegExp(p, "i"));
+  }
+  return out;
+}
+
+export function loadEligibilityRules({ json, file } = {}) {
+  let raw = json;
+  if (!raw && file) raw = fs.readFileSync(file, "utf8");
+  if (!raw) return null;
+
+  let rules;
+  try {
+    rules = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid eligibility rules JSON: ${String(e?.message || e)}`);
+  }
+  return { include: compile(rules.include), exclude: compile(rules.exclude) };
+}
+
+function matches(ticket, key, list) {
+  if (key === "subjectPatterns") return list.some((re) => re.test(String(ticket.subject || "")));
+  const values = CRITERIA[key](ticket).map(norm).filter(Boolean);
+  return values.some((v) => list.includes(v));
+}
+
+/**
+ * Returns { eligible: true } or { eligible: false, reason }.
+ */
+export function evaluateEligibility(ticket, rules) {
+  if (!rules) return { eligible: true };
+
+  for (const [key, list] of Object.entries(rules.exclude)) {
+    if (matches(ticket, key, list)) return { eligible: false, reason: `excluded by ${key}` };
+  }
+
+  for (const [key, list] of Object.entries(rules.include)) {
+    if (!matches(ticket, key, list)) return { eligible: false, reason: `not matched by included ${key}` };
+  }
+
+  return { eligible: true };
+}
@@ -0,0 +1,155 @@
+/**
+ * Outbound call layer shared by the Guru, OpenAI and Freshservice clients: retries with
+ * jittered exponential backoff, honours Retry-After / Freshservice rate-limit headers, and
+ * classifies failures as retryable or fatal so the worker can decide whether to requeue.
+ */
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const DEFAULT_RETRIES = Math.max(0, Number(process.env.OUTBOUND_RETRIES || 3));
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 15_000;
+
+// Upper bound for any single outbound call; a worker deadline (ctx.deadline) can shorten it.
+const OUTBOUND_TIMEOUT_MS = Math.max(1000, Number(process.env.OUTBOUND_TIMEOUT_MS || 90_000));
+
+/**
+ * AbortSignal for one outbound call. `ctx` is threaded through the pipeline helpers and
+ * may carry the worker's deadline (lib/deadline.js).
+ */
+export function callSignal(ctx, maxMs = OUTBOUND_TIMEOUT_MS) {
+  return ctx?.deadline ? ctx.deadline.signal(maxMs) : AbortSignal.timeout(maxMs);
+}
+
+export class OutboundError extends Error {
+  constructor(message, { service, status, retryable = false, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "OutboundError";
+    this.service = service;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUS.has(Number(status));
+}
+
+/**
+ * Milliseconds the server asked us to wait, from Retry-After (seconds or HTTP date) or,
+ * for Freshservice, an exhausted X-RateLimit-Remaining (the window is one minute).
+ */
+export function retryAfterMs(headers) {
+  const get = (name) => headers?.get?.(name) ?? headers?.[name] ?? headers?.[name.toLowerCase()];
+
+  const ra = get("retry-after");
+  if (ra != null && ra !== "") {
+    const secs = Number(ra);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(ra);
+    if (Number.isFinite(at)) return Math.max(0, at - Date.now());
+  }
+
+  if (String(get("x-ratelimit-remaining") ?? "").trim() === "0") return 60_000;
+  return null;
+}
+
+// Retry-After carried by an error: OutboundError has it parsed, OpenAI SDK errors (APIError)
+// only carry the response headers.
+export function errorRetryAfterMs(err) {
+  return err?.retryAfterMs ?? (err?.headers ? retryAfterMs(err.headers) : null);
+}
+
+/**
+ * { retryable, reason } for any error thrown by an outbound call.
+ * Unknown errors count as retryable: a wasted retry is cheaper than a lost note.
+ */
+export function classifyError(err) {
+  if (!err) return { retryable: true, reason: "unknown" };
+  if (err instanceof OutboundError) {
+    return { retryable: err.retryable, reason: `${err.service || "outbound"} ${err.status ?? "error"}` };
+  }
+  if (err.name === "DeadlineExceededError") return { retryable: true, reason: "deadline" };
+
+  // OpenAI SDK errors carry an HTTP status (APIError) or none (connection/timeout).
+  const status = err.status ?? err.statusCode;
+  if (typeof status === "number") {
+    return { retryable: isRetryableStatus(status), reason: `http ${status}` };
+  }
+
+  // fetch() network failures surface as TypeError("fetch failed").
+  if (err.name === "TypeError" && /fetch failed/i.test(err.message || "")) {
+    return { retryable: true, reason: "network" };
+  }
+  if (["AbortError", "TimeoutError"].includes(err.name)) return { retryable: true, reason: "timeout" };
+
+  return { retryable: true, reason: err.name || "error" };
+}
+
+function backoffMs(attempt) {
+  const exp = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * (exp / 2)); // "equal jitter"
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Run fn(attempt) until it succeeds, a fatal error is thrown, or retries run out.
+ * Never sleeps past the worker deadline; the last error is rethrown instead.
+ */
+export async function withRetry(
+  fn,
+  { retries = DEFAULT_RETRIES, deadline = null, service = "outbound", shouldRetry = (e) => classifyError(e).retryable } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (e?.name === "DeadlineExceededError" || attempt >= retries || !shouldRetry(e)) throw e;
+
+      const wait = Math.max(errorRetryAfterMs(e) ?? 0, backoffMs(attempt));
+      if (deadline && wait >= deadline.remaining()) throw e;
+
+      console.warn(`${service} call failed (attempt ${attempt + 1}); retrying in ${wait}ms:`, e?.message || e);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * fetch() with retries. Non-2xx responses become OutboundError. Non-idempotent requests
+ * (e.g. posting a note) are only retried in-call when the server rejected them (429, or
+ * 503 with Retry-After), never after a timeout; the job-level retry covers the rest.
+ * `signal` is a factory so every attempt gets a fresh timeout.
+ */
+export async function fetchWithRetry(url, init = {}, { service, idempotent = true, signal, retries, deadline } = {}) {
+  return withRetry(
+    async () => {
+      let res;
+      try {
+        res = await fetch(url, { ...init, signal: signal?.() });
+      } catch (e) {
+        // Aborts keep their own type so the worker can tell a cut-off from a failure.
+        if (["DeadlineExceededError", "AbortError", "TimeoutError"].includes(e?.name)) throw e;
+        throw new OutboundError(`${service} request failed: ${e?.message || e}`, { service, retryable: true, cause: e });
+      }
+
+      if (res.ok) return res;
+
+      const text = await res.text().catch(() => "");
+      throw new OutboundError(`${service} HTTP ${res.status}: ${text}`, {
+        service,
+        status: res.status,
+        retryable: isRetryableStatus(res.status),
+        retryAfterMs: retryAfterMs(res.headers),
+      });
+    },
+    {
+      retries,
+      deadline,
+      service,
+      shouldRetry: idempotent ? undefined : (e) => e?.status === 429 || (e?.status === 503 && e?.retryAfterMs != null),
+    }
+  );
+}
@@ -0,0 +1,199 @@
+import { fetchWithRetry, classifyError, callSignal } from "./http.js";
+import { withCircuitBreaker } from "./circuit-breaker.js";
+import { createMcpClient } from "./mcp-client.js";
+import { isDeadlineError } from "./deadline.js";
+import { isInScope, answerCollections } from "./knowledge.js";
+
+/**
+ * Guru knowledge provider, backed by the Guru MCP server (see lib/knowledge.js for the
+ * provider interface).
+ */
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+// The Guru collections scope is built on; per-company additions live in lib/scoping.js.
+export const GURU_COLLECTIONS = {
+  internal: process.env.GURU_INTERNAL_COLLECTION_ID || "a45f67d4-19fe-47e1-a86a-34b8cd438a76",
+  clients: process.env.GURU_CLIENTS_COLLECTION_ID || "f46a8a25-78ae-4214-b181-185d8d5d455d",
+};
+
+/** -----------------------------
+ * MCP result unwrapping helpers
+ * ----------------------------- */
+function tryParseJsonString(s) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+// Guru MCP tools may return `result` directly OR wrapped in MCP "content" blocks.
+// This normalizes common shapes into a plain JS value.
+function unwrapMcpResult(maybeWrapped) {
+  if (maybeWrapped == null) return maybeWrapped;
+
+  // If the server returned a JSON string, parse it.
+  if (typeof maybeWrapped === "string") {
+    const parsed = tryParseJsonString(maybeWrapped);
+    return parsed ?? maybeWrapped;
+  }
+
+  // Common MCP shape: { content: [ { type: 'text', text: '...json...' } ] }
+  const content = maybeWrapped?.content;
+  if (Array.isArray(content) && content.length) {
+    const first = content[0];
+
+    if (first?.type === "json") {
+      // Some MCP servers return {type:'json', json: <value>}
+      return first.json ?? maybeWrapped;
+    }
+
+    if (first?.type === "text" && typeof first.text === "string") {
+      const parsed = tryParseJsonString(first.text);
+      return parsed ?? first.text;
+    }
+
+    // If it's already a value list, return it.
+    if (Array.isArray(first)) return first;
+  }
+
+  return maybeWrapped;
+}
+
+/** -----------------------------
+ * Tool result helpers
+ * ----------------------------- */
+
+// Card lookups into the provider card shape. Some servers wrap the card ({ card: {...} })
+// or leave out the id that was asked for; the card cache needs id + lastModified.
+function normalizeCardResult(result, id) {
+  const unwrapped = unwrapMcpResult(result);
+  if (!unwrapped || typeof unwrapped !== "object" || Array.isArray(unwrapped)) return unwrapped;
+  const card = unwrapped.card && typeof unwrapped.card === "object" ? unwrapped.card : unwrapped;
+  return {
+    ...card,
+    id: card.id ?? id,
+    lastModified: card.lastModified ?? card.dateLastModified ?? card.lastModifiedDate,
+  };
+}
+function coerceSearchResultsToArray(searchResult) {
+  const unwrapped = unwrapMcpResult(searchResult);
+  if (!unwrapped) return [];
+
+  // Already an array
+  if (Array.isArray(unwrapped)) return unwrapped;
+
+  // Wrapped list shapes
+  if (Array.isArray(unwrapped.results)) return unwrapped.results;
+  if (Array.isArray(unwrapped.documents)) return unwrapped.documents;
+  if (Array.isArray(unwrapped.items)) return unwrapped.items;
+  if (Array.isArray(unwrapped.cards)) return unwrapped.cards;
+  if (Array.isArray(unwrapped.data)) return unwrapped.data;
+
+  // If it came back as text that contains JSON, unwrapMcpResult will have parsed it.
+  // If it is still a string here, we can't coerce it to cards.
+  if (typeof unwrapped === "string") return [];
+
+  // Single card-ish object
+  if (unwrapped?.id) return [unwrapped];
+
+  return [];
+}
+
+function formatAnswerResult(answerResult) {
+  const unwrapped = unwrapMcpResult(answerResult);
+  if (!unwrapped) return { answerText: "", sources: [] };
+
+  // Most common: object with {answer, sources}
+  if (typeof unwrapped === "object" && typeof unwrapped.answer === "string") {
+    return {
+      answerText: unwrapped.answer.trim(),
+      sources: Array.isArray(unwrapped.sources) ? unwrapped.sources : [],
+    };
+  }
+
+  // Some implementations may return { content: '...' }
+  if (typeof unwrapped === "object" && typeof unwrapped.content === "string") {
+    return { answerText: unwrapped.content.trim(), sources: [] };
+  }
+
+  // Fallbacks
+  if (typeof unwrapped === "string") {
+    return { answerText: unwrapped.trim(), sources: [] };
+  }
+
+  return {
+    answerText: JSON.stringify(unwrapped, null, 2),
+    sources: Array.isArray(unwrapped?.sources) ? unwrapped.sources : [],
+  };
+}
+
+/** -----------------------------
+ * Provider
+ * ----------------------------- */
+export function createGuruProvider() {
+  const email = mustEnv("GURU_EMAIL");
+  const token = mustEnv("GURU_API_TOKEN");
+  const agentId = mustEnv("GURU_AGENT_ID");
+
+  // Overridable so the bridge can run against dev/fake-guru-mcp.js.
+  const url = process.env.GURU_MCP_URL || "https://mcp.api.getguru.com/mcp";
+
+  // Guru tool calls are read-only, so any transient failure is safe to retry. The breaker
+  // fails fast during an outage instead of every job burning its retries.
+  const mcp = createMcpClient({
+    service: "guru",
+    headers: { Authorization: `Basic ${Buffer.from(`${email}:${token}`).toString("base64")}` },
+    send: (init, ctx = {}) =>
+      withCircuitBreaker(
+        "guru",
+        () => fetchWithRetry(url, init, { service: "guru", signal: () => callSignal(ctx), deadline: ctx.deadline }),
+        {
+          countsAsFailure: (e) => classifyError(e).retryable,
+          ignore: (e) => isDeadlineError(e, ctx.deadline),
+        }
+      ),
+  });
+
+  const collections = GURU_COLLECTIONS;
+
+  return {
+    name: "guru",
+    label: "Guru",
+    collections,
+    // Every lookup is an MCP round trip.
+    cacheDocuments: true,
+
+    async search(query, ctx = {}) {
+      return coerceSearchResultsToArray(await mcp.callTool("guru_search_documents", { query, agentId }, ctx));
+    },
+
+    async getDocument(id, ctx = {}) {
+      return normalizeCardResult(await mcp.callTool("guru_get_card_by_id", { id }, ctx), id);
+    },
+
+    // collectionIds is an extra guardrail; sources are still scope-checked afterwards.
+    async answer(question, scope, ctx = {}) {
+      return formatAnswerResult(
+        await mcp.callTool(
+          "guru_answer_generation",
+          { question, agentId, collectionIds: answerCollections(scope, collections) },
+          ctx
+        )
+      );
+    },
+
+    scopeCheck(doc, scope) {
+      return isInScope(doc, scope, collections);
+    },
+
+    documentUrl(doc) {
+      return doc?.slug ? `https://app.getguru.com/card/${doc.slug}` : undefined;
+    },
+  };
+}
@@ -0,0 +1,158 @@
+import fs from "fs";
+import path from "path";
+import { isInScope, normalizeName } from "./knowledge.js";
+
+/**
+ * Knowledge provider over a local directory of Markdown runbooks (see lib/knowledge.js
+ * for the provider interface). KNOWLEDGE_MARKDOWN_DIR is laid out as:
+ *
+ *   internal/**.md                 internal collection (always in scope)
+ *   clients/<Company Name>/**.md   clients collection; each company folder is a board
+ *   <anything else>/**.md          a collection of its own, never in scope
+ *
+ * Optional front matter (`---` / `key: value` / `---`) may set title,
+ * verificationState and lastModified; otherwise the first "# " heading or the file name
+ * is the title and the file's mtime is lastModified. KNOWLEDGE_MARKDOWN_BASE_URL, when
+ * set, turns document paths into links in the note.
+ *
+ * There is no answer model here: `answer` returns the best scoped excerpts and the
+ * pipeline's runbook step does the synthesis.
+ */
+
+const INTERNAL = { id: "internal", name: "Internal" };
+const CLIENTS = { id: "clients", name: "Clients" };
+
+const MAX_EXCERPT = 1500;
+
+function boardId(folder) {
+  return `md-board:${normalizeName(folder).replace(/[^a-z0-9]+/g, "-")}`;
+}
+
+function parseFrontMatter(text) {
+  const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!m) return { meta: {}, body: text };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = line.match(/^\s*([A-Za-z][\w-]*)\s*:\s*(.*?)\s*$/);
+    if (kv) meta[kv[1]] = kv[2].replace(/^["']|["']$/g, "");
+  }
+  return { meta, body: text.slice(m[0].length) };
+}
+
+function walk(dir, out = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(full, out);
+    else if (entry.isFile() && entry.name.toLowerCase().endsWith(".md")) out.push(full);
+  }
+  return out;
+}
+
+function toDocument(root, file) {
+  const rel = path.relative(root, file).split(path.sep).join("/");
+  const [top, second] = rel.split("/");
+  const { meta, body } = parseFrontMatter(fs.readFileSync(file, "utf8"));
+
+  let collection;
+  let boards = [];
+  if (top === "internal") {
+    collection = INTERNAL;
+  } else if (top === "clients" && rel.split("/").length > 2) {
+    collection = CLIENTS;
+    boards = [{ id: boardId(second), title: second }];
+  } else {
+    collection = { id: `md:${top}`, name: top };
+  }
+
+  const heading = body.match(/^#\s+(.+)$/m)?.[1]?.trim();
+  return {
+    id: `md:${rel.replace(/\.md$/i, "")}`,
+    title: meta.title || heading || path.basename(file, path.extname(file)),
+    slug: rel,
+    content: body.trim(),
+    collection,
+    boards,
+    verificationState: meta.verificationState || undefined,
+    lastModified: meta.lastModified || fs.statSync(file).mtime.toISOString(),
+  };
+}
+
+function tokens(s) {
+  return normalizeName(s)
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 2);
+}
+
+// Title and board hits weigh more than body hits.
+function score(doc, queryTokens) {
+  const title = new Set(tokens(doc.title));
+  const board = new Set(tokens(doc.boards.map((b) => b.title).join(" ")));
+  const body = new Set(tokens(doc.content));
+  let s = 0;
+  for (const t of queryTokens) {
+    if (title.has(t)) s += 3;
+    if (board.has(t)) s += 2;
+    if (body.has(t)) s += 1;
+  }
+  return s;
+}
+
+export function createMarkdownProvider({ dir = process.env.KNOWLEDGE_MARKDOWN_DIR } = {}) {
+  if (!dir) throw new Error("Missing env var: KNOWLEDGE_MARKDOWN_DIR");
+  const root = path.resolve(dir);
+  const baseUrl = process.env.KNOWLEDGE_MARKDOWN_BASE_URL || "";
+  const collections = { internal: INTERNAL.id, clients: CLIENTS.id };
+
+  // Indexed once per instance; runbook folders change with deploys, not at runtime.
+  let index = null;
+  const docs = () => (index ||= walk(root).map((f) => toDocument(root, f)));
+
+  const rank = (query, filter = () => true) => {
+    const q = tokens(query);
+    return docs()
+      .filter(filter)
+      .map((d) => ({ d, s: score(d, q) }))
+      .filter((x) => x.s > 0)
+      .sort((a, b) => b.s - a.s)
+      .map((x) => x.d);
+  };
+
+  const provider = {
+    name: "markdown",
+    label: "Runbook",
+    collections,
+    // Documents are already in memory.
+    cacheDocuments: false,
+
+    async search(query) {
+      return rank(query).slice(0, 10);
+    },
+
+    async getDocument(id) {
+      const doc = docs().find((d) => d.id === id);
+      if (!doc) throw new Error(`Markdown document not found: ${id}`);
+      return doc;
+    },
+
+    // The full question carries pipeline instructions; the search query ranks better.
+    async answer(question, scope) {
+      const hits = rank(scope.searchQuery || question, (d) => provider.scopeCheck(d, scope)).slice(0, 3);
+      return {
+        answerText: hits
+          .map((d) => `### ${d.title}\n${d.content.length > MAX_EXCERPT ? `${d.content.slice(0, MAX_EXCERPT)}…` : d.content}`)
+          .join("\n\n"),
+        sources: hits.map((d) => ({ id: d.id, title: d.title, url: provider.documentUrl(d), verificationState: d.verificationState })),
+      };
+    },
+
+    scopeCheck(doc, scope) {
+      return isInScope(doc, scope, collections);
+    },
+
+    documentUrl(doc) {
+      return baseUrl && doc?.slug ? `${baseUrl.replace(/\/$/, "")}/${doc.slug.split("/").map(encodeURIComponent).join("/")}` : undefined;
+    },
+  };
+  return provider;
+}
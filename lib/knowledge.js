@@ -0,0 +1,95 @@
+import { matchesCompany } from "./company-match.js";
+
+/**
+ * Knowledge providers: where the bridge searches for runbooks and policies.
+ *
+ * Every provider returns documents in the card shape the pipeline already scopes and
+ * renders:
+ *   { id, title, slug, url?, content?, collection: { id, name }, boards: [{ id, title }],
+ *     verificationState?, lastModified? }
+ * and implements:
+ *   search(query, ctx)                       -> documents (may be thin: id + title)
+ *   getDocument(id, ctx)                     -> full document
+ *   answer(question, scope, ctx)             -> { answerText, sources: [{ id, title }] }
+ *   scopeCheck(doc, scope)                   -> boolean
+ *   documentUrl(doc)                         -> link for the note, or undefined
+ *   collections                              -> { internal, clients } collection ids
+ *   name, label                              -> id for traces, display name for the note
+ *   cacheDocuments                           -> true if getDocument is worth caching across
+ *                                               jobs (lib/card-cache.js)
+ *
+ * `scope` is { companyBoardId, company, companyScope, companyMatch, searchQuery };
+ * companyScope is the company's entry from lib/scoping.js, or null, and companyMatch is
+ * the board resolution from lib/company-match.js. Scope is the same for every provider: the
+ * internal collection and any configured extra collections, plus the clients collection
+ * restricted to the company's board(s), minus configured excluded collections.
+ *
+ * KNOWLEDGE_PROVIDER selects the provider: "guru" (default) or "markdown".
+ */
+
+// Collections answer generation may draw from for this scope.
+export function answerCollections(scope, collections) {
+  const excluded = new Set(scope?.companyScope?.excludedCollections || []);
+  const ids = [collections.clients, collections.internal, ...(scope?.companyScope?.allowedCollections || [])];
+  return [...new Set(ids)].filter((id) => !excluded.has(id));
+}
+
+export function normalizeName(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+export function isInScope(doc, { companyBoardId, company, companyScope, companyMatch }, collections) {
+  const colId = doc?.collection?.id;
+  if (!colId) return false;
+
+  if (companyScope?.excludedCollections.includes(colId)) return false;
+  if (colId === collections.internal) return true;
+  if (companyScope?.allowedCollections.includes(colId)) return true;
+
+  if (colId === collections.clients) {
+    const boards = Array.isArray(doc?.boards) ? doc.boards : [];
+
+    // Configured boards are authoritative.
+    if (companyScope?.boardIds.length) {
+      return boards.some((b) => companyScope.boardIds.includes(b?.id));
+    }
+
+    // Preferred: strict board-id match when detected.
+    if (companyBoardId) {
+      return boards.some((b) => b?.id === companyBoardId);
+    }
+
+    // Fallback: if board-id detection failed, allow cards that clearly live in the
+    // company folder by matching company name to board titles. Not when resolution
+    // found several close boards: that is exactly the case we can't tell apart.
+    if (!company || companyMatch?.ambiguous) return false;
+    return boards.some((b) => matchesCompany(b?.title, company, companyScope?.aliases));
+  }
+
+  return false;
+}
+
+let providerPromise = null;
+
+// Name of the configured provider, without instantiating it.
+export function knowledgeProviderName() {
+  return (process.env.KNOWLEDGE_PROVIDER || "guru").toLowerCase();
+}
+
+export function getKnowledgeProvider() {
+  if (!providerPromise) {
+    const kind = knowledgeProviderName();
+    providerPromise =
+      kind === "markdown"
+        ? import("./knowledge-markdown.js").then((m) => m.createMarkdownProvider())
+        : kind === "guru"
+          ? import("./knowledge-guru.js").then((m) => m.createGuruProvider())
+          : Promise.reject(new Error(`Unknown KNOWLEDGE_PROVIDER: ${kind}`));
+  }
+  return providerPromise;
+}
+
+// Swap the active provider (tests, scripts).
+export function setKnowledgeProvider(provider) {
+  providerPromise = Promise.resolve(provider);
+}
@@ -0,0 +1,278 @@
+import { OutboundError } from "./http.js";
+import { createSseParser, readSseEvents } from "./sse.js";
+
+/**
+ * Minimal MCP client for the streamable-HTTP transport.
+ *
+ * One session per client instance (i.e. per warm serverless instance): `initialize`
+ * negotiates the protocol version, the Mcp-Session-Id header is sent on every later
+ * request, and `tools/list` is cached so tool arguments can be checked against the
+ * advertised input schemas before calling. A session the server has forgotten (404)
+ * is re-initialized once. Responses may be plain JSON or an SSE stream; notifications
+ * that arrive before the response (progress, log messages) go to ctx.onNotification.
+ */
+
+export const MCP_PROTOCOL_VERSION = "2025-06-18";
+const SUPPORTED_PROTOCOL_VERSIONS = [MCP_PROTOCOL_VERSION, "2025-03-26", "2024-11-05"];
+
+// JSON-RPC errors that describe our request (invalid request, unknown method, bad
+// params): a retry sends the same thing. Anything else (-32603 internal error, server
+// rate limits or overload reported in the envelope) is worth another attempt.
+const FATAL_RPC_ERROR_CODES = new Set([-32600, -32601, -32602]);
+
+export function isRetryableRpcError(error) {
+  return !FATAL_RPC_ERROR_CODES.has(Number(error?.code));
+}
+
+const CLIENT_INFO = { name: "gurumcp-freshservice", version: "1.0.0" };
+const LOG_LEVEL = process.env.MCP_LOG_LEVEL || "info";
+
+// The server no longer matches what we call it with (missing tool, changed schema,
+// unsupported protocol). Never retryable, and callers must not swallow it.
+export class McpContractError extends OutboundError {
+  constructor(message, service) {
+    super(message, { service, retryable: false });
+    this.name = "McpContractError";
+  }
+}
+
+/** -----------------------------
+ * Input schema checks (the JSON Schema subset MCP tools use)
+ * ----------------------------- */
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(expected, v) {
+  const actual = typeOf(v);
+  const list = Array.isArray(expected) ? expected : [expected];
+  return list.some((t) => t === actual || (t === "number" && actual === "integer"));
+}
+
+/**
+ * Returns a list of problems ("query: expected string, got number"), empty when `value`
+ * satisfies `schema`. Covers type, required, properties, additionalProperties, items, enum.
+ */
+export function validateAgainstSchema(schema, value, path = "arguments") {
+  if (!schema || typeof schema !== "object") return [];
+  const problems = [];
+
+  if (schema.type && !typeMatches(schema.type, value)) {
+    return [`${path}: expected ${[].concat(schema.type).join("|")}, got ${typeOf(value)}`];
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    problems.push(`${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${path}.${key}: required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (props[key]) problems.push(...validateAgainstSchema(props[key], v, `${path}.${key}`));
+      else if (schema.additionalProperties === false) problems.push(`${path}.${key}: not allowed`);
+    }
+  }
+
+  if (typeOf(value) === "array" && schema.items) {
+    value.forEach((v, i) => problems.push(...validateAgainstSchema(schema.items, v, `${path}[${i}]`)));
+  }
+
+  return problems;
+}
+
+/** -----------------------------
+ * Response reading
+ * ----------------------------- */
+function isResponseTo(msg, id) {
+  return msg && msg.id === id && ("result" in msg || "error" in msg);
+}
+
+/**
+ * Read the JSON-RPC response to request `id` from a fetch() Response. SSE bodies are
+ * consumed incrementally and the stream is released as soon as the matching response
+ * arrives; server notifications seen on the way are passed to onMessage.
+ */
+export async function readJsonRpcResponse(res, id, { onMessage, service = "mcp" } = {}) {
+  const handle = (data) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      return null;
+    }
+    for (const msg of [].concat(parsed)) {
+      if (isResponseTo(msg, id)) return msg;
+      if (msg?.method && !("id" in msg)) onMessage?.(msg);
+    }
+    return null;
+  };
+
+  if (String(res.headers.get("content-type") || "").includes("text/event-stream") && res.body) {
+    for await (const ev of readSseEvents(res.body)) {
+      if (ev.event !== "message") continue;
+      const msg = handle(ev.data);
+      if (msg) return msg;
+    }
+  } else {
+    const text = await res.text();
+    let msg = handle(text);
+    if (!msg) {
+      // Some servers stream without the event-stream content type.
+      const parser = createSseParser((ev) => (msg ||= handle(ev.data)));
+      parser.push(`${text}\n\n`);
+      parser.end();
+    }
+    if (msg) return msg;
+  }
+
+  throw new OutboundError(`${service} MCP response for request ${id} never arrived`, { service, retryable: true });
+}
+
+/** -----------------------------
+ * Client
+ * ----------------------------- */
+
+/**
+ * createMcpClient({ headers, send, service })
+ *   send(init, ctx) -> Response   transport hook; ctx is passed through from the caller
+ *                                 (endpoint, retries, breaker and deadline live there)
+ */
+export function createMcpClient({ headers = {}, send, service = "mcp" }) {
+  let rpcId = 1;
+  let progressSeq = 1;
+  let sessionPromise = null; // resolves to { sessionId, protocolVersion, capabilities, serverInfo }
+  let toolsPromise = null; // resolves to Map(name -> tool)
+
+  const contract = (message) => new McpContractError(message, service);
+
+  function requestHeaders(session) {
+    const h = {
+      ...headers,
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+    };
+    if (session?.sessionId) h["Mcp-Session-Id"] = session.sessionId;
+    if (session?.protocolVersion) h["MCP-Protocol-Version"] = session.protocolVersion;
+    return h;
+  }
+
+  async function post(message, session, ctx) {
+    return send({ method: "POST", headers: requestHeaders(session), body: JSON.stringify(message) }, ctx);
+  }
+
+  async function rpc(method, params, session, ctx) {
+    const id = rpcId++;
+    const res = await post({ jsonrpc: "2.0", id, method, params }, session, ctx);
+    const msg = await readJsonRpcResponse(res, id, { onMessage: ctx?.onNotification, service });
+
+    if (msg.error) {
+      throw new OutboundError(`${service} MCP error (${msg.error.code}): ${msg.error.message}`, {
+        service,
+        retryable: isRetryableRpcError(msg.error),
+      });
+    }
+    return { result: msg.result, res };
+  }
+
+  async function initialize(ctx) {
+    const { result, res } = await rpc(
+      "initialize",
+      { protocolVersion: MCP_PROTOCOL_VERSION, capabilities: {}, clientInfo: CLIENT_INFO },
+      null,
+      ctx
+    );
+    const sessionId = res.headers.get("mcp-session-id") || null;
+
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result?.protocolVersion)) {
+      throw contract(`${service} MCP server wants protocol ${result?.protocolVersion}; we support ${SUPPORTED_PROTOCOL_VERSIONS.join(", ")}`);
+    }
+
+    const session = {
+      sessionId,
+      protocolVersion: result.protocolVersion,
+      capabilities: result.capabilities || {},
+      serverInfo: result.serverInfo || null,
+    };
+    await post({ jsonrpc: "2.0", method: "notifications/initialized" }, session, ctx);
+
+    // Ask for server log messages so they can show up in job traces; optional.
+    if (session.capabilities.logging) {
+      await rpc("logging/setLevel", { level: LOG_LEVEL }, session, ctx).catch((e) =>
+        console.warn(`${service} MCP logging/setLevel failed:`, e?.message || e)
+      );
+    }
+    return session;
+  }
+
+  function reset() {
+    sessionPromise = null;
+    toolsPromise = null;
+  }
+
+  function session(ctx) {
+    if (!sessionPromise) {
+      const p = (sessionPromise = initialize(ctx));
+      p.catch(() => sessionPromise === p && reset()); // don't cache a failed handshake
+    }
+    return sessionPromise;
+  }
+
+  async function request(method, params, ctx, { retried = false } = {}) {
+    const s = await session(ctx);
+    try {
+      return (await rpc(method, params, s, ctx)).result;
+    } catch (e) {
+      // 404 on a request carrying a session id = the server dropped the session.
+      if (e?.status === 404 && s.sessionId && !retried) {
+        reset();
+        return request(method, params, ctx, { retried: true });
+      }
+      throw e;
+    }
+  }
+
+  async function listTools(ctx) {
+    if (!toolsPromise) {
+      const p = (toolsPromise = (async () => {
+        const s = await session(ctx);
+        if (!s.capabilities.tools) throw contract(`${service} MCP server does not advertise tools`);
+
+        const tools = new Map();
+        let cursor;
+        do {
+          const page = await request("tools/list", cursor ? { cursor } : {}, ctx);
+          for (const t of page?.tools || []) tools.set(t.name, t);
+          cursor = page?.nextCursor;
+        } while (cursor);
+        return tools;
+      })());
+      p.catch(() => toolsPromise === p && (toolsPromise = null));
+    }
+    return toolsPromise;
+  }
+
+  async function callTool(name, args, ctx) {
+    const tools = await listTools(ctx);
+    const tool = tools.get(name);
+    if (!tool) {
+      throw contract(`${service} MCP server has no tool "${name}" (offers: ${[...tools.keys()].join(", ") || "none"})`);
+    }
+
+    const problems = validateAgainstSchema(tool.inputSchema, args);
+    if (problems.length) {
+      throw contract(`${service} MCP tool "${name}" rejects our arguments: ${problems.join("; ")}`);
+    }
+
+    // A progress token makes long calls (answer generation) report notifications/progress.
+    const progressToken = `${name}:${progressSeq++}`;
+    return request("tools/call", { name, arguments: args, _meta: { progressToken } }, ctx);
+  }
+
+  return { session, listTools, callTool, reset };
+}
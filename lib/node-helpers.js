@@ -0,0 +1,48 @@
+import { readRawBody } from "./auth.js";
+
+/**
+ * Vercel's Node helpers (req.body, req.query, res.status, res.json) consume and parse the
+ * request body before the handler runs, which leaves nothing for webhook signature checks
+ * to verify. Deployments that sign webhooks set NODEJS_HELPERS=0 (project env) to turn
+ * them off; every route is wrapped in withNodeHelpers so it behaves the same either way:
+ * when the helpers are missing, the wrapper reads the raw body itself (kept on
+ * req.rawBody) and provides the small subset of helpers the routes use.
+ */
+
+function sendJson(res, body) {
+  if (!res.headersSent) res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(body));
+  return res;
+}
+
+export function withNodeHelpers(handler) {
+  return async function wrapped(req, res) {
+    if (typeof res.status !== "function") {
+      res.status = (code) => {
+        res.statusCode = code;
+        return res;
+      };
+    }
+    if (typeof res.json !== "function") res.json = (body) => sendJson(res, body);
+
+    if (req.query === undefined) {
+      req.query = Object.fromEntries(new URL(req.url || "/", "http://localhost").searchParams);
+    }
+
+    if (req.body === undefined && req.method !== "GET" && req.method !== "HEAD") {
+      const raw = await readRawBody(req);
+      const type = String(req.headers?.["content-type"] || "");
+      if (raw && (!type || type.includes("json"))) {
+        try {
+          req.body = JSON.parse(raw);
+        } catch {
+          return res.status(400).json({ error: "Invalid JSON body" });
+        }
+      } else {
+        req.body = raw || undefined;
+      }
+    }
+
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,40 @@
+import { describeFlags } from "./source-policy.js";
+
+/**
+ * Note fragments shared by the worker pipeline (lib/pipeline.js) and the legacy Express
+ * server (server.js), so both render sources the same way.
+ */
+
+// Collapsible "Excluded sources" section listing rejected citations; on unless "false".
+const SHOW_EXCLUDED_SOURCES = process.env.NOTE_SHOW_EXCLUDED_SOURCES !== "false";
+
+export function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+// Warning after a cited source flagged by the source policy (lib/source-policy.js), or "".
+export function sourceFlagBadgeHtml(source) {
+  if (!source?.freshness?.flags?.length) return "";
+  const confirm = source.freshness.action === "confirm" ? " — confirm with lead" : "";
+  return ` <span style="color:#b45309">⚠️ ${escapeHtml(describeFlags(source.freshness))}${confirm}</span>`;
+}
+
+// Collapsible list of sources dropped by scope or source policy: [{ source, reason }].
+export function renderExcludedSourcesHtml(excluded = []) {
+  if (!SHOW_EXCLUDED_SOURCES || !excluded.length) return "";
+  const items = excluded.map((r) => {
+    const title = escapeHtml(r?.source?.title || r?.source?.id || "unknown");
+    const id = r?.source?.id ? ` <span style="color:#777">[id=${escapeHtml(r.source.id)}]</span>` : "";
+    return `<li>${title}${id}: ${escapeHtml(r.reason)}</li>`;
+  });
+  return `
+<details>
+<summary><strong>🚫 Excluded sources (${excluded.length})</strong></summary>
+<ul>${items.join("")}</ul>
+</details>`;
+}
@@ -0,0 +1,779 @@
+import OpenAI from "openai";
+import { createTrace, cardsForTrace } from "./trace.js";
+import { isDeadlineError } from "./deadline.js";
+import { fetchWithRetry, withRetry, callSignal } from "./http.js";
+import { isCircuitOpenError } from "./circuit-breaker.js";
+import { McpContractError } from "./mcp-client.js";
+import { getKnowledgeProvider } from "./knowledge.js";
+import { getCompanyScope } from "./scoping.js";
+import { resolveCompanyBoard, describeCompanyMatch } from "./company-match.js";
+import { getCachedCompanyBoard, cacheCompanyBoard } from "./company-board-cache.js";
+import { createCardCache, mapWithConcurrency, HYDRATION_CONCURRENCY } from "./card-cache.js";
+import { assessSource, describeFlags, describeSourcePolicy, withConfirmationPrerequisite } from "./source-policy.js";
+import { escapeHtml, renderExcludedSourcesHtml, sourceFlagBadgeHtml } from "./note-html.js";
+import { recordCrossClientCitations } from "./citation-audit.js";
+
+/**
+ * The Freshservice -> OpenAI -> knowledge provider (Guru MCP by default) -> Freshservice
+ * pipeline, shared by the queue worker and the preview route.
+ */
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+const FS_DOMAIN = mustEnv("FRESHSERVICE_DOMAIN");
+const FS_KEY = mustEnv("FRESHSERVICE_API_KEY");
+
+const OPENAI_API_KEY = mustEnv("OPENAI_API_KEY");
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-5";
+
+// Retries are handled by lib/http.js so they respect the worker deadline.
+const openai = new OpenAI({ apiKey: OPENAI_API_KEY, maxRetries: 0 });
+
+/** -----------------------------
+ * Freshservice helpers
+ * ----------------------------- */
+async function freshserviceAddPrivateNote(ticketId, bodyHtml, ctx = {}) {
+  const url = `https://${FS_DOMAIN}/api/v2/tickets/${ticketId}/notes`;
+  // Not idempotent: only retried in-call when Freshservice rejected the request.
+  await fetchWithRetry(
+    url,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: "Basic " + Buffer.from(`${FS_KEY}:X`).toString("base64"),
+      },
+      body: JSON.stringify({ body: bodyHtml, private: true }),
+    },
+    { service: "freshservice", idempotent: false, signal: () => callSignal(ctx), deadline: ctx.deadline }
+  );
+}
+
+/** -----------------------------
+ * HTML rendering helpers
+ * ----------------------------- */
+function renderSourcesAsHtmlLinks(sources = [], label = "Guru") {
+  if (!sources.length) {
+    return `<ul><li><em>No applicable ${escapeHtml(label)} sources found within allowed scope.</em></li></ul>`;
+  }
+
+  const items = sources.map((s) => {
+    const title = escapeHtml(s.title || "Untitled");
+    const url = s.url ? escapeHtml(s.url) : "";
+    const ver = s.verificationState
+      ? ` <span style="color:#777">(${escapeHtml(s.verificationState)})</span>`
+      : "";
+    return `<li>${url ? `<a href="${url}" target="_blank" rel="noreferrer">${title}</a>` : title}${ver}${sourceFlagBadgeHtml(s)}</li>`;
+  });
+
+  return `<ul>${items.join("")}</ul>`;
+}
+
+function renderRunbookHtml({ company, runbook, sourcesHtml, excludedSources, followUps, signals, label = "Guru" }) {
+  const stepsHtml = (runbook.steps || [])
+    .map(
+      (s) => `
+<li>
+  <strong>${escapeHtml(s.action)}</strong><br/>
+  <span>${escapeHtml(s.details)}</span><br/>
+  <em style="color:#555">Verify:</em> ${escapeHtml(s.verification)}
+</li>`.trim()
+    )
+    .join("");
+
+  const prereqHtml = (runbook.prerequisites || []).map((p) => `<li>${escapeHtml(p)}</li>`).join("");
+  const escalationHtml = (runbook.escalation || []).map((e) => `<li>${escapeHtml(e)}</li>`).join("");
+  const notesHtml = (runbook.notes || []).map((n) => `<li>${escapeHtml(n)}</li>`).join("");
+  const followHtml = (followUps || []).slice(0, 3).map((q) => `<li>${escapeHtml(q)}</li>`).join("");
+
+  return `
+<h3>✅ ${escapeHtml(label)} Recommendation (${escapeHtml(company)})</h3>
+
+<h4>🧭 Runbook: ${escapeHtml(runbook.title)}</h4>
+<p><strong>Summary:</strong> ${escapeHtml(runbook.summary)}</p>
+<p><strong>Approvals:</strong> ${runbook.approvals?.required ? "✅ Required" : "❌ Not explicitly required"}</p>
+<p style="color:#555; margin-top:-8px;">${escapeHtml(runbook.approvals?.rationale || "")}</p>
+
+${runbook.prerequisites?.length ? `
+<p><strong>Prerequisites / Confirm:</strong></p>
+<ul>${prereqHtml}</ul>
+` : ""}
+
+<p><strong>Steps:</strong></p>
+<ol>${stepsHtml}</ol>
+
+${runbook.escalation?.length ? `
+<p><strong>Escalation:</strong></p>
+<ul>${escalationHtml}</ul>
+` : ""}
+
+${runbook.notes?.length ? `
+<p><strong>Notes:</strong></p>
+<ul>${notesHtml}</ul>
+` : ""}
+
+<hr/>
+
+<h4>📚 Sources</h4>
+${sourcesHtml}
+${renderExcludedSourcesHtml(excludedSources)}
+
+${(followUps || []).length ? `
+<h4>❓ Suggested Follow-ups</h4>
+<ul>${followHtml}</ul>
+` : ""}
+
+<hr/>
+<p style="color:#777; font-size:12px;">
+VIP=${signals.vip} • Privileged=${signals.privileged} • ApprovalGate=${signals.approvalGate} • ExemptionsCard=${signals.exemptionsFound} • CompanyBoard=${escapeHtml(signals.companyBoardId || "not-detected")} • CompanyMatch=${escapeHtml(signals.companyMatch)} • SourcePolicy=${escapeHtml(signals.sourcePolicy)}
+</p>
+`.trim();
+}
+
+// Errors a per-card lookup must not swallow: they apply to the whole job.
+function isJobLevelError(e, ctx) {
+  return isDeadlineError(e, ctx.deadline) || isCircuitOpenError(e) || e instanceof McpContractError;
+}
+
+/** -----------------------------
+ * Hydrate thin search results into full cards
+ * ----------------------------- */
+async function hydrateCards(cardCache, cards, maxToHydrate = 10, ctx = {}) {
+  const arr = Array.isArray(cards) ? cards : [];
+
+  const hydrated = await mapWithConcurrency(arr.slice(0, maxToHydrate), HYDRATION_CONCURRENCY, async (c) => {
+    // If it already looks like a full card, keep it.
+    if (c?.collection?.id && Array.isArray(c?.boards) && c?.slug) return c;
+
+    // Otherwise, try to hydrate via the (cached) document lookup.
+    if (c?.id) {
+      try {
+        return await cardCache.get(c.id, { lastModified: c.lastModified });
+      } catch (e) {
+        if (isJobLevelError(e, ctx)) throw e;
+        // fall through and keep original
+      }
+    }
+    return c;
+  });
+
+  // Keep remainder unhydrated to avoid too many lookups.
+  return [...hydrated, ...arr.slice(maxToHydrate)];
+}
+
+/** -----------------------------
+ * Normalization + scoping helpers
+ * ----------------------------- */
+function normalize(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+function scoreExemptionsCard(card, provider) {
+  const title = normalize(card?.preferredPhrase || card?.title || "");
+  const slug = normalize(card?.slug || "");
+  let score = 0;
+
+  if (title.includes("exempt")) score += 6;
+  if (title.includes("exception")) score += 6;
+  if (slug.includes("exempt")) score += 3;
+  if (slug.includes("exception")) score += 3;
+
+  if (card?.collection?.id === provider.collections.clients) score += 1;
+  return score;
+}
+
+function cardToSource(card, provider) {
+  if (!card?.id) return null;
+  const freshness = assessSource(card);
+  return {
+    id: card.id,
+    title: card.preferredPhrase || card.title || "Untitled",
+    url: provider.documentUrl(card),
+    verificationState: card.verificationState,
+    ...(freshness.flags.length ? { freshness } : {}),
+  };
+}
+
+function dedupeSourcesById(list) {
+  const seen = new Set();
+  return (list || []).filter((s) => {
+    if (!s?.id) return false;
+    if (seen.has(s.id)) return false;
+    seen.add(s.id);
+    return true;
+  });
+}
+
+/** -----------------------------
+ * Exemptions relevance heuristic (conservative)
+ * ----------------------------- */
+function exemptionsLikelyRelevant(exemptionsText, subject, description) {
+  if (!exemptionsText) return false;
+
+  const hay = normalize(exemptionsText);
+  const needles = normalize(`${subject} ${description}`);
+
+  const keyTerms = [
+    "calendar",
+    "delegate",
+    "delegation",
+    "mailbox",
+    "drive",
+    "file",
+    "access",
+    "approval",
+    "exception",
+    "exempt",
+    "security",
+    "report",
+    "admin",
+    "privileged",
+    "password",
+    "mfa",
+    "sso",
+    "entra",
+    "egnyte",
+  ];
+
+  const requestHits = keyTerms.filter((t) => needles.includes(t));
+  const exemptionsHits = requestHits.filter((t) => hay.includes(t));
+  return exemptionsHits.length > 0;
+}
+
+/** -----------------------------
+ * Enforce scope on answer sources (post-check)
+ * ----------------------------- */
+async function filterAnswerSourcesToAllowedScope(provider, cardCache, sources, scope, ctx = {}) {
+  const allowed = [];
+  const rejected = [];
+
+  // Look cards up in parallel, then sort them out in source order.
+  const verdicts = await mapWithConcurrency(sources || [], HYDRATION_CONCURRENCY, async (s) => {
+    const cardId = s?.id;
+    if (!cardId) return { reason: "missing id" };
+
+    try {
+      const card = await cardCache.get(cardId);
+      if (!provider.scopeCheck(card, scope)) {
+        // A clients-collection card outside scope belongs to another company's board.
+        if (card?.collection?.id === provider.collections.clients) {
+          const boards = (card.boards || []).map((b) => b?.title || b?.id).filter(Boolean).join(", ");
+          return { reason: `another client's board${boards ? ` (${boards})` : ""}`, crossClient: true };
+        }
+        return { reason: "outside allowed collection/board scope" };
+      }
+
+      const freshness = assessSource(card);
+      if (freshness.action === "exclude") {
+        return { reason: `excluded by source policy: ${describeFlags(freshness)}`, policy: true };
+      }
+      return {
+        source: {
+          ...s,
+          verificationState: s.verificationState ?? card?.verificationState,
+          ...(freshness.flags.length ? { freshness } : {}),
+        },
+      };
+    } catch (e) {
+      if (isJobLevelError(e, ctx)) throw e;
+      return { reason: `lookup failed: ${String(e?.message || e)}` };
+    }
+  });
+
+  (sources || []).forEach((s, i) => {
+    if (verdicts[i].source) allowed.push(verdicts[i].source);
+    else {
+      const { reason, policy, crossClient } = verdicts[i];
+      rejected.push({ source: s, reason, ...(policy ? { policy } : {}), ...(crossClient ? { crossClient } : {}) });
+    }
+  });
+
+  return { allowed, rejected };
+}
+
+/** -----------------------------
+ * OpenAI Question Builder (Structured Outputs)
+ * ----------------------------- */
+async function buildQueryPackage({ subject, description, company, vip }, ctx = {}) {
+  const schema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      company: { type: "string" },
+      searchQuery: { type: "string" },
+      exemptionsQuery: { type: "string" },
+      question: { type: "string" },
+      isPrivileged: { type: "boolean" },
+      checkApprovals: { type: "boolean" },
+      followUps: { type: "array", items: { type: "string" }, minItems: 0, maxItems: 5 },
+    },
+    required: [
+      "company",
+      "searchQuery",
+      "exemptionsQuery",
+      "question",
+      "isPrivileged",
+      "checkApprovals",
+      "followUps",
+    ],
+  };
+
+  const system = [
+    "You convert Freshservice ticket text into an optimal Guru query package.",
+    "Company MUST always be included in searchQuery, exemptionsQuery, and question.",
+    "Classify isPrivileged=true if the request involves protected/privileged actions or data, including:",
+    "- access delegation (calendar/mailbox/files), admin permissions, security reports, credentials, MFA, SSO, provisioning, PII.",
+    "Approvals should only be considered when BOTH: vip=false AND isPrivileged=true.",
+    "Set checkApprovals accordingly.",
+    "exemptionsQuery MUST target the company's Exemptions/Exceptions List card and include key terms from the ticket.",
+    "Make searchQuery concise and high-signal (include product/system + action + company).",
+    "Return ONLY JSON matching the schema (no markdown).",
+  ].join("\n");
+
+  const payload = { subject, description, company, vip };
+
+  const resp = await withRetry(() => openai.responses.create({
+    model: OPENAI_MODEL,
+    input: [
+      { role: "system", content: system },
+      { role: "user", content: JSON.stringify(payload) },
+    ],
+    text: {
+      format: {
+        type: "json_schema",
+        name: "guru_query_package",
+        strict: true,
+        schema: schema,
+      },
+    },
+  }, { signal: callSignal(ctx) }), { service: "openai", deadline: ctx.deadline });
+
+  return JSON.parse(resp.output_text);
+}
+
+/** -----------------------------
+ * Runbook builder
+ * ----------------------------- */
+async function answerToRunbook({ company, subject, description, answerText, vip, isPrivileged, approvalGate }, ctx = {}) {
+  const schema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      title: { type: "string" },
+      summary: { type: "string" },
+      prerequisites: { type: "array", items: { type: "string" }, minItems: 0, maxItems: 5 },
+      steps: {
+        type: "array",
+        minItems: 3,
+        maxItems: 7,
+        items: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            step: { type: "integer" },
+            action: { type: "string" },
+            details: { type: "string" },
+            verification: { type: "string" },
+          },
+          required: ["step", "action", "details", "verification"],
+        },
+      },
+      approvals: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          required: { type: "boolean" },
+          rationale: { type: "string" },
+        },
+        required: ["required", "rationale"],
+      },
+      escalation: { type: "array", items: { type: "string" }, minItems: 0, maxItems: 3 },
+      notes: { type: "array", items: { type: "string" }, minItems: 0, maxItems: 4 },
+    },
+    required: ["title", "summary", "prerequisites", "steps", "approvals", "escalation", "notes"],
+  };
+
+  const system = [
+    "You convert a support answer into a short step-by-step runbook for an IT technician.",
+    "Do NOT invent tools, policies, approvers, or steps not supported by the provided answerText or ticket details.",
+    "If the platform is unknown (Google vs Microsoft 365), add a prerequisite/step to confirm it.",
+    "Keep details + verification to ONE sentence each.",
+    "",
+    "Approval rules:",
+    "- approvals.required MUST be true ONLY if answerText explicitly says approvals are required for THIS request, OR if a provided policy excerpt explicitly requires it.",
+    "- If approvalGate=true but answerText does NOT explicitly mention approvals, set approvals.required=false and rationale='No explicit approval requirement found in scoped sources; confirm if needed.'",
+    "- NEVER reference Egnyte/file storage approvers unless answerText explicitly mentions them.",
+    "",
+    "Return ONLY JSON matching the schema.",
+  ].join("\n");
+
+  const userPayload = { company, subject, description, vip, isPrivileged, approvalGate, answerText };
+
+  const resp = await withRetry(() => openai.responses.create({
+    model: OPENAI_MODEL,
+    input: [
+      { role: "system", content: system },
+      { role: "user", content: JSON.stringify(userPayload) },
+    ],
+    text: {
+      format: {
+        type: "json_schema",
+        name: "runbook",
+        strict: true,
+        schema,
+      },
+    },
+  }, { signal: callSignal(ctx) }), { service: "openai", deadline: ctx.deadline });
+
+  return JSON.parse(resp.output_text);
+}
+
+/** -----------------------------
+ * Pipeline: run the full Guru/OpenAI workflow and post to Freshservice
+ * ----------------------------- */
+
+/**
+ * Runs every stage and posts the note, unless dryRun is set. Either way the intermediate
+ * artifacts are returned so previews can show exactly what would have been posted.
+ * Each stage is recorded on `trace` (see lib/trace.js); the caller persists it.
+ */
+export async function runPipelineAndPostNote(
+  { jobId, ticketId, company, subject, description, vip },
+  { dryRun = false, trace = createTrace(jobId), deadline = null } = {}
+) {
+  // MCP progress and log notifications land on the stage that made the call.
+  const ctx = { deadline, onNotification: (msg) => trace.log(msg.method, msg.params) };
+  const provider = await getKnowledgeProvider();
+  // Each card is fetched once per run (and reused across jobs, see lib/card-cache.js).
+  const cardCache = createCardCache(provider, ctx);
+  // Configured scope for this company (lib/scoping.js); null = discover the board.
+  const companyScope = await getCompanyScope(company);
+  // How companyBoardId was resolved (lib/company-match.js); reported in the note footer.
+  let companyMatch = null;
+  const scope = () => ({ companyBoardId, company, companyScope, companyMatch });
+  const inScope = (c) => provider.scopeCheck(c, scope());
+  // In scope and not excluded by the source policy; exclusions are reported with the
+  // rejected answer sources.
+  const policyExcluded = new Map();
+  const usable = (c) => {
+    if (!inScope(c)) return false;
+    const freshness = assessSource(c);
+    if (freshness.action !== "exclude") return true;
+    policyExcluded.set(c.id, {
+      source: cardToSource(c, provider),
+      reason: `excluded by source policy: ${describeFlags(freshness)}`,
+      policy: true,
+    });
+    return false;
+  };
+
+  const searchStage = (name, query) =>
+    trace.stage(name, { query, provider: provider.name }, () => provider.search(query, ctx), {
+      summarize: cardsForTrace,
+    });
+  const hydrationStage = (label, cards) =>
+    trace.stage("hydration", { for: label, cards: cards.length }, () => hydrateCards(cardCache, cards, 10, ctx), {
+      summarize: cardsForTrace,
+    });
+
+  // 1) Build query package via OpenAI
+  const qp = await trace.stage("buildQueryPackage", { subject, description, company, vip }, () =>
+    buildQueryPackage({ subject, description, company, vip }, ctx)
+  );
+
+  // 2) Exemptions/Exceptions List lookup first (unless the company pins its card)
+  const pinnedExemptionsId = companyScope?.exemptionsCardId || null;
+  const exResults = pinnedExemptionsId
+    ? []
+    : await hydrationStage("exemptions", await searchStage("exemptionsSearch", qp.exemptionsQuery));
+
+  // Keep a reference to company search results so we can cite the specific
+  // company context card(s) that informed the answer (e.g., "uses Microsoft 365").
+  let companyResults = [];
+
+  // A confident match wins (and is cached for later jobs); an ambiguous one is kept so
+  // later searches can still resolve it.
+  const resolveBoard = async (results) => {
+    const match = resolveCompanyBoard(results, company, { aliases: companyScope?.aliases });
+    if (match && (match.boardId || !companyMatch)) companyMatch = match;
+    if (match?.boardId) await cacheCompanyBoard(provider.name, company, match);
+    return match?.boardId || null;
+  };
+
+  // Determine company board/folder id: configured boards win, then a cached resolution;
+  // otherwise try the exemptions results, then discover the board by searching company
+  // name broadly
+  let companyBoardId = await trace.stage(
+    "companyBoardDiscovery",
+    { company, configured: Boolean(companyScope) },
+    async () => {
+      if (companyScope?.boardIds.length) {
+        companyMatch = { boardId: companyScope.boardIds[0], method: "configured", confidence: 1, ambiguous: false };
+        return companyScope.boardIds[0];
+      }
+
+      const cached = await getCachedCompanyBoard(provider.name, company);
+      if (cached) {
+        companyMatch = { ...cached, ambiguous: false, cached: true };
+        return cached.boardId;
+      }
+
+      const fromExemptions = await resolveBoard(exResults);
+      if (fromExemptions) return fromExemptions;
+
+      companyResults = await hydrationStage("company", await searchStage("companySearch", `${company}`));
+      return resolveBoard(companyResults);
+    },
+    { summarize: (id) => ({ companyBoardId: id || null, match: companyMatch }) }
+  );
+
+  // Pick best exemptions card candidate
+  let exCard = null;
+  let bestScore = 0;
+  for (const c of exResults) {
+    const s = scoreExemptionsCard(c, provider);
+    if (s > bestScore) {
+      bestScore = s;
+      exCard = c;
+    }
+  }
+
+  const exCardId = pinnedExemptionsId || (exCard && usable(exCard) ? exCard.id : null);
+
+  let exemptionsText = "";
+  let exCardFull = null;
+  if (exCardId) {
+    exCardFull = await trace.stage(
+      "exemptionsCard",
+      { id: exCardId },
+      () => cardCache.get(exCardId),
+      { summarize: (card) => cardsForTrace([card])[0] }
+    );
+
+    // Prefer content if present; else stringify
+    exemptionsText =
+      typeof exCardFull?.content === "string"
+        ? exCardFull.content
+        : JSON.stringify(exCardFull, null, 2);
+  }
+
+  const exemptionRelevant = exemptionsLikelyRelevant(exemptionsText, subject, description);
+
+  // 3) Approval gating: ONLY if non-vip AND privileged/protected
+  const shouldConsiderApprovals = vip === false && qp.isPrivileged === true;
+
+  // 4) Search policy docs; hard-filter to allowed scope
+  const approvalTail = shouldConsiderApprovals ? " calendar delegate access approval" : "";
+  const policyResults = await hydrationStage(
+    "policy",
+    await searchStage("policySearch", `${qp.searchQuery}${approvalTail}`)
+  );
+
+  // If we haven't done a company search yet (because board-id was detected earlier),
+  // do a lightweight company search now so we can cite the company context cards. Not
+  // for a configured or cached board: skipping these lookups is what the cache is for,
+  // and the policy results still supply context cards.
+  const boardFromScopeOrCache = companyMatch?.method === "configured" || companyMatch?.cached === true;
+  if (!companyResults.length && !boardFromScopeOrCache) {
+    companyResults = await hydrationStage("company", await searchStage("companySearch", `${company}`));
+  }
+
+  // If company board still unknown, infer from policy results
+  if (!companyBoardId) companyBoardId = await resolveBoard(policyResults);
+
+  const scopedPolicyResults = policyResults.filter(usable);
+
+  const scopedContextSummary = scopedPolicyResults
+    .slice(0, 10)
+    .map((c) => {
+      const col = c?.collection?.name || c?.collection?.id || "UnknownCollection";
+      const board = c?.boards?.[0]?.title ? ` / ${c.boards[0].title}` : "";
+      const label = c?.preferredPhrase || c?.title || c?.slug || c?.id;
+      return `- ${label} (${col}${board}) [id=${c?.id}]`;
+    })
+    .join("\n");
+
+  // 5) Generate final answer (extra guardrail: collectionIds)
+  const instructions = [
+    `You are an internal IT support assistant answering a Freshservice ticket.`,
+    `Company: ${company}. VIP requester: ${vip ? "YES" : "NO"}.`,
+    `STRICT SOURCE RULE: Only use knowledge from (a) Internal collection, or (b) Clients collection within the ${company} folder/board. If you cannot find an answer within those sources, say so.`,
+    exCardId
+      ? `Company Exemptions/Exceptions List card was found (id=${exCardId}). Apply relevant exemptions if they match this request.`
+      : `No company Exemptions/Exceptions List card was found within allowed scope.`,
+    shouldConsiderApprovals
+      ? `Because this is a non-VIP privileged/protected request, verify whether approvals are required BEFORE giving execution steps. If exemptions explicitly waive approvals, state that and cite it.`
+      : `Do NOT introduce approval steps unless an explicit Guru policy within allowed sources requires it.`,
+    `Provide: (1) recommended steps, (2) approvals if applicable, (3) up to 2 follow-up questions if needed, (4) cite the Guru card titles/ids you relied on.`,
+    `Scoped candidate sources:\n${scopedContextSummary || "- (none found; broaden search terms slightly but remain within allowed sources)"}`
+  ].join("\n");
+
+  const finalQuestion = [
+    qp.question,
+    "",
+    `Ticket Subject: ${subject}`,
+    `Ticket Description: ${description}`,
+    "",
+    `System instruction:\n${instructions}`,
+    exemptionRelevant && exemptionsText ? `\nRelevant Exemptions/Exceptions List content:\n${exemptionsText}` : "",
+  ].join("\n");
+
+  const { answerText, sources } = await trace.stage(
+    "answerGeneration",
+    { question: finalQuestion, companyBoardId },
+    () => provider.answer(finalQuestion, { ...scope(), searchQuery: qp.searchQuery }, ctx)
+  );
+
+  // 6) Enforce scope on returned sources
+  const { allowed: allowedSources, rejected: rejectedAnswerSources } = await trace.stage(
+    "scopeFiltering",
+    { sources, companyBoardId, company },
+    () => filterAnswerSourcesToAllowedScope(provider, cardCache, sources, scope(), ctx)
+  );
+
+  const crossClient = rejectedAnswerSources.filter((x) => x.crossClient).map((x) => x.source.id);
+  if (crossClient.length) trace.log("crossClientCitations", { company, cards: crossClient });
+
+  const scopedCompanyResults = (companyResults || []).filter(usable);
+
+  const rejectedSources = [
+    ...rejectedAnswerSources,
+    ...[...policyExcluded.values()].filter((x) => !rejectedAnswerSources.some((r) => r.source?.id === x.source?.id)),
+  ];
+
+  const contextSources = [
+    // Prefer the most relevant company context cards first (often includes "client basics" / platform info)
+    ...(scopedCompanyResults || []).slice(0, 5).map((c) => cardToSource(c, provider)).filter(Boolean),
+
+    // Then include any scoped policy/process docs that were used for gating/steps
+    ...(scopedPolicyResults || []).slice(0, 8).map((c) => cardToSource(c, provider)).filter(Boolean),
+  ];
+
+  if (exCardId) {
+    // if you already fetched exCardFull you can cardToSource(exCardFull)
+    // otherwise, add a minimal entry and let the URL be omitted
+    if (exCardFull) {
+      const exSource = cardToSource(exCardFull, provider);
+      if (exSource) contextSources.unshift(exSource);
+    } else {
+      contextSources.unshift({ id: exCardId, title: "Exemptions/Exceptions List" });
+    }
+  }
+
+  const sourcesUsed = dedupeSourcesById([
+    ...(allowedSources || []),
+    ...contextSources,
+  ]);
+
+  const sourcesHtml = renderSourcesAsHtmlLinks(sourcesUsed, provider.label);
+
+  if (!sourcesUsed.length) {
+    console.warn(
+      "No scoped sources to cite.",
+      JSON.stringify(
+        {
+          company,
+          companyBoardId: companyBoardId || null,
+          exCardId: exCardId || null,
+          scopedCompanyResults: scopedCompanyResults.length,
+          scopedPolicyResults: scopedPolicyResults.length,
+          answerSources: (sources || []).length,
+          allowedAnswerSources: (allowedSources || []).length,
+          rejectedAnswerSources: (rejectedAnswerSources || []).length,
+          policyExcluded: policyExcluded.size,
+          companyResultsRaw: (companyResults || []).length,
+          policyResultsRaw: (policyResults || []).length,
+          exResultsRaw: (exResults || []).length,
+        },
+        null,
+        2
+      )
+    );
+  }
+
+  let runbook;
+  if (answerText) {
+    const runbookInput = {
+      company,
+      subject,
+      description,
+      answerText,
+      vip,
+      isPrivileged: qp.isPrivileged,
+      approvalGate: shouldConsiderApprovals,
+    };
+    runbook = await trace.stage("answerToRunbook", runbookInput, () => answerToRunbook(runbookInput, ctx));
+  } else {
+    runbook = {
+      title: `No scoped answer found`,
+      summary: `No scoped ${provider.label} answer was returned. Try adjusting the query terms while staying within allowed sources.`,
+      prerequisites: [],
+      steps: [
+        { step: 1, action: "Confirm request details", details: "Clarify platform, delegate identity, and permission level.", verification: "Ticket contains all required details." },
+        { step: 2, action: `Search scoped ${provider.label} sources`, details: "Search Internal + the company folder for platform-specific steps or policy.", verification: "At least 1 relevant scoped source identified." },
+        { step: 3, action: "Proceed or escalate", details: "If no policy exists, follow standard platform procedure or escalate to the client's IT owner.", verification: "Next action is documented." },
+      ],
+      approvals: { required: false, rationale: "No explicit approval requirement found in scoped sources; confirm if needed." },
+      escalation: [],
+      notes: [],
+    };
+  }
+
+  runbook = withConfirmationPrerequisite(runbook, sourcesUsed);
+
+  const flagged = sourcesUsed.filter((s) => s.freshness).length;
+  const excluded = rejectedSources.filter((x) => x.policy).length;
+
+  const note = renderRunbookHtml({
+    company,
+    label: provider.label,
+    runbook,
+    sourcesHtml,
+    excludedSources: rejectedSources,
+    followUps: qp.followUps,
+    signals: {
+      vip: vip ? "true" : "false",
+      privileged: qp.isPrivileged ? "true" : "false",
+      approvalGate: shouldConsiderApprovals ? "true" : "false",
+      exemptionsFound: exCardId ? "true" : "false",
+      companyBoardId,
+      companyMatch: describeCompanyMatch(companyMatch),
+      sourcePolicy: `${describeSourcePolicy()} (flagged ${flagged}, excluded ${excluded})`,
+    },
+  });
+
+  trace.log("cardCache", { ...cardCache.stats });
+
+  // 7) Post back to Freshservice
+  await trace.stage(
+    "postNote",
+    { ticketId, dryRun, bytes: note.length },
+    async () => {
+      // The worker aborts the deadline when it loses the job's lock; another run owns the note.
+      deadline?.throwIfAborted();
+      if (dryRun) return { skipped: true };
+      await freshserviceAddPrivateNote(ticketId, note, ctx);
+      return { posted: true };
+    }
+  );
+
+  // Counted once per job and only once the note is posted, so previews, retries and
+  // deadline requeues don't inflate the per-company numbers.
+  if (!dryRun) await recordCrossClientCitations(company, crossClient, { jobId });
+
+  return {
+    posted: !dryRun,
+    queryPackage: qp,
+    companyBoardId: companyBoardId || null,
+    companyMatch,
+    exemptionsCardId: exCardId || null,
+    sources: sourcesUsed,
+    rejectedSources,
+    runbook,
+    html: note,
+  };
+}
@@ -0,0 +1,20 @@
+import { getStore } from "./storage.js";
+
+const PREVIEW_PREFIX = "fs:guru:preview:"; // preview:<jobId>
+const PREVIEW_TTL_SECONDS = 24 * 3600;
+
+/**
+ * Results of dry-run jobs, kept for a day so /api/preview can return them.
+ */
+export async function savePreview(jobId, result) {
+  const store = await getStore();
+  await store.set(`${PREVIEW_PREFIX}${jobId}`, JSON.stringify({ ...result, createdAt: Date.now() }), {
+    ex: PREVIEW_TTL_SECONDS,
+  });
+}
+
+export async function getPreview(jobId) {
+  const store = await getStore();
+  const raw = await store.get(`${PREVIEW_PREFIX}${jobId}`);
+  return raw ? JSON.parse(raw) : null;
+}
@@ -1,76 +1,448 @@
-import { kv } from "@vercel/kv";
+import crypto from "crypto";
+import { getStore } from "./storage.js";
 
-const QUEUE_KEY = "fs:guru:queue";
+const QUEUE_KEY = "fs:guru:queue"; // normal lane (pre-lanes key, kept for compatibility)
+const HIGH_QUEUE_KEY = "fs:guru:queue:high";
+const LOW_QUEUE_KEY = "fs:guru:queue:low";
+const DEQUEUE_COUNTER_KEY = "fs:guru:dequeue:count";
 const LOCK_PREFIX = "fs:guru:lock:";   // lock:<jobId>
 const DONE_PREFIX = "fs:guru:done:";   // done:<jobId>
+const DELAYED_KEY = "fs:guru:delayed"; // zset of retries, score = runAt (ms)
+const DLQ_KEY = "fs:guru:dlq";
+const PROCESSING_KEY = "fs:guru:processing"; // in-flight jobs, see dequeueJob
+const LEASE_PREFIX = "fs:guru:lease:"; // lease:<jobId>
+const PURGE_TOKEN_KEY = "fs:guru:admin:purge-token";
+const LATEST_PREFIX = "fs:guru:ticket:latest:"; // latest:<ticketId> -> jobId
+const LATEST_TTL_SECONDS = 24 * 3600;
+
+// How long a dequeued job may stay in flight before the reaper requeues it.
+// Must exceed the worker's maxDuration in vercel.json.
+const VISIBILITY_TIMEOUT_SECONDS = Math.max(
+  30,
+  Number(process.env.QUEUE_VISIBILITY_TIMEOUT_SECONDS || 330)
+);
+
+// Retry policy for failed jobs. Attempt N waits BASE * 2^(N-1) seconds, capped at MAX.
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.QUEUE_MAX_ATTEMPTS || 5));
+const BACKOFF_BASE_SECONDS = Math.max(1, Number(process.env.QUEUE_BACKOFF_BASE_SECONDS || 30));
+const BACKOFF_MAX_SECONDS = Math.max(1, Number(process.env.QUEUE_BACKOFF_MAX_SECONDS || 3600));
+
+// Priority lanes, drained high -> normal -> low. Every Nth dequeue looks at the low lane
+// first so routine tickets still move while there is a steady stream of VIP/urgent work.
+const LANE_KEYS = { high: HIGH_QUEUE_KEY, normal: QUEUE_KEY, low: LOW_QUEUE_KEY };
+const LOW_LANE_EVERY = Math.max(2, Number(process.env.QUEUE_LOW_LANE_EVERY || 5));
+
+// Freshservice priority is 1=Low..4=Urgent, urgency 1=Low..3=High; accept numbers or names.
+const LEVEL_NAMES = { low: 1, medium: 2, high: 3, urgent: 4 };
+
+function toLevel(v) {
+  if (v == null || v === "") return 0;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  return LEVEL_NAMES[String(v).trim().toLowerCase()] || 0;
+}
+
+export function laneForJob(job) {
+  if (job?.vip === true || job?.vip === "true") return "high";
+
+  const priority = toLevel(job?.priority);
+  const urgency = toLevel(job?.urgency);
+  if (priority >= 3 || urgency >= 3) return "high";
+  if (priority === 1 && urgency <= 1) return "low";
+  return "normal";
+}
+
+function laneKeyFor(job) {
+  const parsed = typeof job === "string" ? parseQueueItem(job) : job;
+  return LANE_KEYS[laneForJob(parsed)];
+}
+
+async function laneOrder(store) {
+  const n = await store.incr(DEQUEUE_COUNTER_KEY);
+  return n % LOW_LANE_EVERY === 0 ? ["low", "high", "normal"] : ["high", "normal", "low"];
+}
+
+function serialize(job) {
+  return typeof job === "string" ? job : JSON.stringify(job);
+}
+
+// Exact payload each dequeued job was stored as, so it can be LREM'd from processing.
+const rawByJob = new WeakMap();
 
 /**
  * jobId should be deterministic to prevent duplicates.
  * Example: sha256(ticketId + subject + description + company + vip)
+ *
+ * The job becomes the latest version for its ticket, superseding any older pending job
+ * (see isSuperseded). With delaySeconds it waits on the retry schedule first, which gives
+ * rapid edits time to coalesce into a single run. Dry runs stay out of coalescing: a
+ * preview must never make the real job for its ticket look superseded. `supersede: false`
+ * re-enqueues an existing job without claiming to be the ticket's latest version.
  */
-export async function enqueueJob(job) {
+export async function enqueueJob(job, { delaySeconds = 0, supersede = true } = {}) {
+  const store = await getStore();
+  const parsed = typeof job === "string" ? parseQueueItem(job) : job;
+
+  if (supersede && parsed?.ticketId != null && parsed?.jobId && !parsed.dryRun) {
+    await store.set(`${LATEST_PREFIX}${parsed.ticketId}`, parsed.jobId, { ex: LATEST_TTL_SECONDS });
+  }
+
   // Always enqueue as a string to avoid KV returning objects like "[object Object]".
-  const payload = typeof job === "string" ? job : JSON.stringify(job);
-  await kv.rpush(QUEUE_KEY, payload);
+  if (delaySeconds > 0) {
+    await store.zadd(DELAYED_KEY, Date.now() + delaySeconds * 1000, serialize(job));
+  } else {
+    await store.rpush(laneKeyFor(job), serialize(job));
+  }
+}
+
+/**
+ * True when a newer job has been enqueued for the same ticket since this one.
+ */
+export async function isSuperseded(job) {
+  if (job?.ticketId == null || !job?.jobId || job.dryRun) return false;
+  const store = await getStore();
+  const latest = await store.get(`${LATEST_PREFIX}${job.ticketId}`);
+  return Boolean(latest) && latest !== job.jobId;
+}
+
+export function backoffSeconds(attempt) {
+  const exp = BACKOFF_BASE_SECONDS * 2 ** Math.max(0, attempt - 1);
+  return Math.min(BACKOFF_MAX_SECONDS, exp);
+}
+
+/**
+ * Move retries whose backoff has elapsed from the delayed set back onto the queue.
+ * ZREM decides the winner, so concurrent workers never promote the same job twice.
+ */
+export async function promoteDueJobs(limit = 50) {
+  const store = await getStore();
+  const due = await store.zrangeByScore(DELAYED_KEY, 0, Date.now(), { offset: 0, count: limit });
+  let promoted = 0;
+  for (const raw of due || []) {
+    const removed = await store.zrem(DELAYED_KEY, serialize(raw));
+    if (!removed) continue;
+    await store.rpush(laneKeyFor(raw), serialize(raw));
+    promoted++;
+  }
+  return promoted;
 }
 
+// Returns the job object for a raw queue entry, or null if it is unusable.
+function parseQueueItem(raw) {
+  // KV usually returns a string, but be defensive.
+  // Some clients/paths may return already-deserialized objects.
+  if (raw && typeof raw === "object") return raw;
+
+  if (typeof raw !== "string") {
+    console.warn("Queue item was not a string; dropping. type=", typeof raw);
+    return null;
+  }
+
+  try {
+    const job = JSON.parse(raw);
+    // Basic shape check
+    if (!job || typeof job !== "object") {
+      console.warn("Queue item parsed to non-object; dropping.");
+      return null;
+    }
+    return job;
+  } catch (e) {
+    console.warn("Invalid queue JSON; dropping item:", raw.slice(0, 200));
+    return null;
+  }
+}
+
+/**
+ * Reliable dequeue from the highest non-empty lane: the job is atomically moved onto the
+ * processing list and given a lease. It stays there until ackJob/failJob; if the function
+ * dies first, the lease expires and reapExpiredJobs puts it back on the queue.
+ */
 export async function dequeueJob() {
+  const store = await getStore();
+  await promoteDueJobs();
+  const lanes = await laneOrder(store);
+
   // Try a few pops in case the queue contains one or more bad entries.
   for (let i = 0; i < 10; i++) {
-    const raw = await kv.lpop(QUEUE_KEY);
-    if (!raw) return null;
-
-    // KV usually returns a string, but be defensive.
-    // Some clients/paths may return already-deserialized objects.
-    if (typeof raw === "object") {
-      if (raw && typeof raw === "object") return raw;
-      console.warn("Queue item was object but invalid; dropping.");
-      continue;
+    let raw = null;
+    for (const lane of lanes) {
+      raw = await store.lmove(LANE_KEYS[lane], PROCESSING_KEY);
+      if (raw) break;
     }
+    if (!raw) return null;
 
-    if (typeof raw !== "string") {
-      console.warn("Queue item was not a string; dropping. type=", typeof raw);
+    const job = parseQueueItem(raw);
+    if (!job) {
+      await store.lrem(PROCESSING_KEY, 1, serialize(raw));
       continue;
     }
 
-    try {
-      const job = JSON.parse(raw);
-      // Basic shape check
-      if (!job || typeof job !== "object") {
-        console.warn("Queue item parsed to non-object; dropping.");
-        continue;
-      }
-      return job;
-    } catch (e) {
-      console.warn("Invalid queue JSON; dropping item:", raw.slice(0, 200));
-      continue;
-    }
+    rawByJob.set(job, serialize(raw));
+    await store.set(`${LEASE_PREFIX}${job.jobId}`, String(Date.now()), { ex: VISIBILITY_TIMEOUT_SECONDS });
+    return job;
   }
 
   // If we got here, we likely had a run of bad entries.
   return null;
 }
 
+/**
+ * Acknowledge a dequeued job: drop it from the processing list and clear its lease.
+ */
+export async function ackJob(job) {
+  const store = await getStore();
+  const raw = rawByJob.get(job) ?? serialize(job);
+  await store.lrem(PROCESSING_KEY, 1, raw);
+  await store.del(`${LEASE_PREFIX}${job.jobId}`);
+  rawByJob.delete(job);
+}
+
+/**
+ * Put an in-flight job back at the front of its lane without counting an attempt, e.g.
+ * when the worker ran out of time before it could finish.
+ */
+export async function requeueJob(job) {
+  const store = await getStore();
+  const raw = rawByJob.get(job) ?? serialize(job);
+  if (!(await store.lrem(PROCESSING_KEY, 1, raw))) return false; // reaper got it first
+  await store.lpush(laneKeyFor(job), raw);
+  await store.del(`${LEASE_PREFIX}${job.jobId}`);
+  rawByJob.delete(job);
+  return true;
+}
+
+/**
+ * Return in-flight jobs whose lease has expired to the queue.
+ * A job is only leaseless for the moment between LMOVE and SET in dequeueJob, which the
+ * cron cadence makes negligible; LREM decides the winner between concurrent reapers.
+ */
+export async function reapExpiredJobs() {
+  const store = await getStore();
+  const inFlight = (await store.lrange(PROCESSING_KEY, 0, -1)) || [];
+  let reaped = 0;
+
+  for (const raw of inFlight) {
+    const job = parseQueueItem(raw);
+    if (job && (await store.get(`${LEASE_PREFIX}${job.jobId}`))) continue;
+
+    const removed = await store.lrem(PROCESSING_KEY, 1, serialize(raw));
+    if (!removed || !job) continue;
+
+    await store.rpush(laneKeyFor(job), serialize(raw));
+    reaped++;
+  }
+
+  return reaped;
+}
+
+// Waiting jobs only: every lane and the delayed set (retries, debounced jobs), which would
+// otherwise be promoted straight back. In-flight jobs and the dead-letter list are kept.
 export async function purgeQueue() {
-  await kv.del(QUEUE_KEY);
+  const store = await getStore();
+  await store.del(...Object.values(LANE_KEYS), DELAYED_KEY);
+}
+
+/** -----------------------------
+ * Administration
+ * ----------------------------- */
+export async function queueDepth() {
+  const store = await getStore();
+  return {
+    high: await store.llen(HIGH_QUEUE_KEY),
+    normal: await store.llen(QUEUE_KEY),
+    low: await store.llen(LOW_QUEUE_KEY),
+    processing: await store.llen(PROCESSING_KEY),
+    delayed: await store.zcard(DELAYED_KEY),
+    deadLetter: await store.llen(DLQ_KEY),
+  };
+}
+
+// Fields that carry PII (ticket text, requester identity); admin views only see their size.
+const REDACTED_FIELDS = ["description", "requesterEmail", "requesterName"];
+
+export function redactJob(job) {
+  if (!job || typeof job !== "object") return job;
+  const out = { ...job };
+  for (const field of REDACTED_FIELDS) {
+    if (out[field] == null) continue;
+    const value = String(out[field]);
+    out[field] = value ? `[redacted ${value.length} chars]` : "";
+  }
+  return out;
+}
+
+/**
+ * First `limit` jobs in dequeue order (or on the dead-letter list), PII redacted (redactJob).
+ */
+export async function peekJobs(limit = 10, { deadLetter = false } = {}) {
+  const store = await getStore();
+  const lanes = deadLetter ? [["deadLetter", DLQ_KEY]] : Object.entries(LANE_KEYS);
+  const out = [];
+
+  for (const [lane, key] of lanes) {
+    if (out.length >= limit) break;
+    const raws = (await store.lrange(key, 0, limit - out.length - 1)) || [];
+    for (const raw of raws) {
+      const job = parseQueueItem(raw);
+      if (job) out.push({ lane, ...redactJob(job) });
+    }
+  }
+
+  return out;
+}
+
+async function removeFromList(store, key, jobId) {
+  const raws = (await store.lrange(key, 0, -1)) || [];
+  const removed = [];
+  for (const raw of raws) {
+    const job = parseQueueItem(raw);
+    if (job?.jobId !== jobId) continue;
+    if (await store.lrem(key, 1, serialize(raw))) removed.push(job);
+  }
+  return removed;
+}
+
+/**
+ * Move a dead-lettered job back onto its lane with a fresh attempt budget.
+ * Resolves to { job } once requeued, { job, superseded: true } (left on the dead-letter
+ * list) when a newer job exists for its ticket, or null if it isn't on the list.
+ * Requeuing never moves the ticket's latest pointer, so old content can't displace a
+ * newer pending job.
+ */
+export async function requeueDeadLetter(jobId) {
+  const store = await getStore();
+  const raws = (await store.lrange(DLQ_KEY, 0, -1)) || [];
+  const dead = raws.map(parseQueueItem).find((j) => j?.jobId === jobId);
+  if (!dead) return null;
+  if (await isSuperseded(dead)) return { job: dead, superseded: true };
+
+  const [job] = await removeFromList(store, DLQ_KEY, jobId);
+  if (!job) return null; // another admin call got it first
+
+  const { attempts, lastError, failedAt, ...fresh } = job;
+  await enqueueJob(fresh, { supersede: false });
+  return { job: fresh };
+}
+
+/**
+ * Remove every waiting copy of a job (lanes, retry schedule, dead-letter list).
+ * In-flight copies are left alone; they belong to a running worker.
+ */
+export async function dropJob(jobId) {
+  const store = await getStore();
+  let dropped = 0;
+
+  for (const key of [...Object.values(LANE_KEYS), DLQ_KEY]) {
+    dropped += (await removeFromList(store, key, jobId)).length;
+  }
+
+  const delayed = (await store.zrangeByScore(DELAYED_KEY, 0, Number.MAX_SAFE_INTEGER, { count: 1000 })) || [];
+  for (const raw of delayed) {
+    if (parseQueueItem(raw)?.jobId === jobId && (await store.zrem(DELAYED_KEY, serialize(raw)))) dropped++;
+  }
+
+  return dropped;
+}
+
+// Purging is two-step: ask for a token, then send it back within a minute.
+export async function issuePurgeToken(ttlSeconds = 60) {
+  const store = await getStore();
+  const token = crypto.randomBytes(16).toString("hex");
+  await store.set(PURGE_TOKEN_KEY, token, { ex: ttlSeconds });
+  return token;
+}
+
+export async function consumePurgeToken(token) {
+  const store = await getStore();
+  const expected = await store.get(PURGE_TOKEN_KEY);
+  if (!expected || !token || String(token) !== expected) return false;
+  await store.del(PURGE_TOKEN_KEY);
+  return true;
+}
+
+/**
+ * Record a failed attempt. The job is re-scheduled with exponential backoff until
+ * QUEUE_MAX_ATTEMPTS is reached, after which it is parked on the dead-letter list
+ * together with its last error. `retryable: false` dead-letters straight away;
+ * `retryAfterMs` (a server's Retry-After) pushes the next attempt out if it is longer.
+ */
+export async function failJob(job, error, { retryable = true, retryAfterMs = null } = {}) {
+  const store = await getStore();
+  await ackJob(job);
+
+  const attempts = (Number(job?.attempts) || 0) + 1;
+  const lastError = String(error?.message || error || "unknown error").slice(0, 1000);
+
+  if (!retryable || attempts >= MAX_ATTEMPTS) {
+    await store.rpush(DLQ_KEY, serialize({ ...job, attempts, lastError, failedAt: Date.now() }));
+    return { deadLettered: true, attempts, lastError };
+  }
+
+  const retryAt = Date.now() + Math.max(backoffSeconds(attempts) * 1000, Number(retryAfterMs) || 0);
+  await store.zadd(DELAYED_KEY, retryAt, serialize({ ...job, attempts, lastError }));
+  return { deadLettered: false, attempts, lastError, retryAt };
 }
 
 export async function markDone(jobId, ttlSeconds = 3600) {
-  await kv.set(`${DONE_PREFIX}${jobId}`, "1", { ex: ttlSeconds });
+  const store = await getStore();
+  await store.set(`${DONE_PREFIX}${jobId}`, "1", { ex: ttlSeconds });
 }
 
 export async function isDone(jobId) {
-  return Boolean(await kv.get(`${DONE_PREFIX}${jobId}`));
+  const store = await getStore();
+  return Boolean(await store.get(`${DONE_PREFIX}${jobId}`));
 }
 
-// Simple lock to avoid double-processing
+/** -----------------------------
+ * Job locks
+ * ----------------------------- */
+
+/**
+ * Lock a job against double-processing. Resolves to an owner token (or null if someone
+ * else holds it); renewLock/releaseLock only succeed when given that token, so a run whose
+ * lock already expired can never extend or release the lock of the run that took over.
+ */
 export async function acquireLock(jobId, ttlSeconds = 120) {
+  const store = await getStore();
   const key = `${LOCK_PREFIX}${jobId}`;
-  // SET key NX EX ttl
-  const ok = await kv.set(key, "1", { nx: true, ex: ttlSeconds });
-  return ok === "OK";
+  const token = crypto.randomUUID();
+  // SET key token NX EX ttl
+  return (await store.set(key, token, { nx: true, ex: ttlSeconds })) ? token : null;
+}
+
+export async function renewLock(jobId, token, ttlSeconds = 120) {
+  const store = await getStore();
+  return store.compareAndExpire(`${LOCK_PREFIX}${jobId}`, token, ttlSeconds);
+}
+
+export async function releaseLock(jobId, token) {
+  const store = await getStore();
+  return store.compareAndDelete(`${LOCK_PREFIX}${jobId}`, token);
 }
 
-export async function releaseLock(jobId) {
-  await kv.del(`${LOCK_PREFIX}${jobId}`);
+/**
+ * Keep renewing a held lock every ttl/3 seconds while a long job runs.
+ * Returns a stop function; onLost fires once if the lock could not be renewed.
+ */
+export function startLockHeartbeat(jobId, token, ttlSeconds = 120, { onLost } = {}) {
+  let stopped = false;
+
+  const timer = setInterval(async () => {
+    try {
+      if (stopped || (await renewLock(jobId, token, ttlSeconds))) return;
+    } catch (e) {
+      console.warn("Lock renewal error:", jobId, e?.message || e);
+      return; // transient; the next tick retries before the lock actually expires
+    }
+    if (stopped) return;
+    stopped = true;
+    clearInterval(timer);
+    onLost?.();
+  }, Math.max(1, Math.floor(ttlSeconds / 3)) * 1000);
+  timer.unref?.();
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
 }
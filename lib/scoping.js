@@ -0,0 +1,118 @@
+import fs from "fs";
+import { getStore } from "./storage.js";
+
+/**
+ * Per-company knowledge scoping, so scope doesn't depend on guessing the company board
+ * from search results.
+ *
+ * Loaded from SCOPING_CONFIG (JSON), SCOPING_CONFIG_FILE (path to JSON) or, when neither
+ * is set, the store key fs:guru:scoping:config (see api/admin/scoping.js):
+ *   {
+ *     "companies": {
+ *       "Acme Corp": {
+ *         "aliases": ["Acme"],
+ *         "boardIds": ["<board id>", ...],
+ *         "allowedCollections": ["<collection id>", ...],
+ *         "excludedCollections": ["<collection id>", ...],
+ *         "exemptionsCardId": "<card id>"
+ *       }
+ *     }
+ *   }
+ * Companies match on case-insensitive name or alias. Without boardIds the board is
+ * discovered from search results (lib/company-match.js), trying the aliases too.
+ */
+
+export const SCOPING_CONFIG_KEY = "fs:guru:scoping:config";
+const STORE_CACHE_MS = 60_000;
+
+function norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+function list(v) {
+  return (Array.isArray(v) ? v : v ? [v] : []).map(String).filter(Boolean);
+}
+
+/**
+ * Validate and index a config object. Throws on shapes we can't use, so a bad file
+ * fails loudly instead of silently widening scope.
+ */
+export function compileScopingConfig(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Scoping config must be an object");
+  const companies = raw.companies || {};
+  if (typeof companies !== "object" || Array.isArray(companies)) {
+    throw new Error("Scoping config: companies must be an object keyed by company name");
+  }
+
+  const byName = new Map();
+  for (const [name, entry] of Object.entries(companies)) {
+    const scope = {
+      company: name,
+      aliases: list(entry?.aliases),
+      boardIds: list(entry?.boardIds ?? entry?.boardId),
+      allowedCollections: list(entry?.allowedCollections),
+      excludedCollections: list(entry?.excludedCollections),
+      exemptionsCardId: entry?.exemptionsCardId ? String(entry.exemptionsCardId) : null,
+    };
+    for (const key of [name, ...scope.aliases]) {
+      const k = norm(key);
+      if (byName.has(k) && byName.get(k) !== scope) {
+        throw new Error(`Scoping config: "${key}" is configured for more than one company`);
+      }
+      byName.set(k, scope);
+    }
+  }
+  return { raw, byName };
+}
+
+function parse(json, origin) {
+  try {
+    return compileScopingConfig(JSON.parse(json));
+  } catch (e) {
+    throw new Error(`Invalid scoping config (${origin}): ${String(e?.message || e)}`);
+  }
+}
+
+let staticConfig; // undefined = not loaded yet, null = none configured
+let storeCache = { at: 0, config: null };
+
+async function loadConfig() {
+  if (staticConfig === undefined) {
+    if (process.env.SCOPING_CONFIG) staticConfig = parse(process.env.SCOPING_CONFIG, "SCOPING_CONFIG");
+    else if (process.env.SCOPING_CONFIG_FILE) {
+      staticConfig = parse(fs.readFileSync(process.env.SCOPING_CONFIG_FILE, "utf8"), process.env.SCOPING_CONFIG_FILE);
+    } else staticConfig = null;
+  }
+  if (staticConfig) return staticConfig;
+
+  if (Date.now() - storeCache.at < STORE_CACHE_MS) return storeCache.config;
+  let config = null;
+  try {
+    const raw = await (await getStore()).get(SCOPING_CONFIG_KEY);
+    config = raw ? parse(raw, SCOPING_CONFIG_KEY) : null;
+  } catch (e) {
+    // No store (e.g. standalone server) or a bad stored config: behave as unconfigured.
+    console.warn("Scoping config unavailable from store:", e?.message || e);
+  }
+  storeCache = { at: Date.now(), config };
+  return config;
+}
+
+/**
+ * The configured scope for a Freshservice company, or null when it isn't configured.
+ */
+export async function getCompanyScope(company) {
+  const config = await loadConfig();
+  return config?.byName.get(norm(company)) || null;
+}
+
+export async function getScopingConfig() {
+  return (await loadConfig())?.raw || null;
+}
+
+// Replace the stored config. Validated first; SCOPING_CONFIG / _FILE still take precedence.
+export async function saveScopingConfig(raw) {
+  compileScopingConfig(raw);
+  await (await getStore()).set(SCOPING_CONFIG_KEY, JSON.stringify(raw));
+  storeCache = { at: 0, config: null };
+}
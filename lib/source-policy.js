@@ -0,0 +1,81 @@
+/**
+ * Freshness / verification policy for cited sources.
+ *
+ * A source is flagged when it is unverified (verificationState other than TRUSTED or
+ * VERIFIED) or stale (newer of lastVerified / lastModified more than SOURCE_MAX_AGE_DAYS
+ * ago, default 365; 0 disables). What happens to a flagged source is set per flag by
+ * SOURCE_UNVERIFIED_POLICY and SOURCE_STALE_POLICY:
+ *   allow     use it as if it were trusted
+ *   warn      use it, with a warning badge in the note (default)
+ *   confirm   use it, and add a "confirm with lead" prerequisite to the runbook
+ *   exclude   drop it like an out-of-scope source
+ * A source with both flags gets the stricter action.
+ */
+
+const ACTIONS = ["allow", "warn", "confirm", "exclude"]; // weakest first
+const TRUSTED_STATES = new Set(["TRUSTED", "VERIFIED"]);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function actionEnv(name, fallback) {
+  const v = (process.env[name] || fallback).toLowerCase();
+  if (!ACTIONS.includes(v)) throw new Error(`${name} must be one of: ${ACTIONS.join(", ")}`);
+  return v;
+}
+
+export const SOURCE_POLICY = {
+  unverified: actionEnv("SOURCE_UNVERIFIED_POLICY", "warn"),
+  stale: actionEnv("SOURCE_STALE_POLICY", "warn"),
+  maxAgeDays: Number(process.env.SOURCE_MAX_AGE_DAYS ?? 365),
+};
+
+function newestTime(...dates) {
+  const times = dates.map((d) => Date.parse(d)).filter((t) => !Number.isNaN(t));
+  return times.length ? Math.max(...times) : null;
+}
+
+/**
+ * -> { action, flags: [{ kind: "unverified" | "stale", action, detail }] }
+ * Only flags whose action isn't "allow" are listed.
+ */
+export function assessSource(doc, policy = SOURCE_POLICY, now = Date.now()) {
+  const flags = [];
+
+  const state = doc?.verificationState;
+  if (state && !TRUSTED_STATES.has(String(state).toUpperCase())) {
+    flags.push({ kind: "unverified", action: policy.unverified, detail: `unverified (${state})` });
+  }
+
+  const updated = newestTime(doc?.lastVerified, doc?.lastModified);
+  if (policy.maxAgeDays > 0 && updated != null) {
+    const days = Math.floor((now - updated) / DAY_MS);
+    if (days > policy.maxAgeDays) {
+      flags.push({ kind: "stale", action: policy.stale, detail: `stale (updated ${days} days ago)` });
+    }
+  }
+
+  const listed = flags.filter((f) => f.action !== "allow");
+  const action = listed.reduce((a, f) => (ACTIONS.indexOf(f.action) > ACTIONS.indexOf(a) ? f.action : a), "allow");
+  return { action, flags: listed };
+}
+
+export function describeFlags(assessment) {
+  return assessment.flags.map((f) => f.detail).join(", ");
+}
+
+// Source policy "confirm": nobody acts on these sources without checking with a lead first.
+// -> the runbook with a prerequisite saying so, or unchanged.
+export function withConfirmationPrerequisite(runbook, sources) {
+  const needsConfirmation = sources.filter((s) => s.freshness?.action === "confirm");
+  if (!needsConfirmation.length) return runbook;
+  const list = needsConfirmation.map((s) => `${s.title} (${describeFlags(s.freshness)})`).join("; ");
+  return {
+    ...runbook,
+    prerequisites: [`Confirm with your lead before acting: cited sources are unverified or stale: ${list}`, ...(runbook.prerequisites || [])],
+  };
+}
+
+// Footer summary, e.g. "unverified:warn stale>365d:confirm".
+export function describeSourcePolicy(policy = SOURCE_POLICY) {
+  const stale = policy.maxAgeDays > 0 ? `stale>${policy.maxAgeDays}d:${policy.stale}` : "stale:off";
+  return `unverified:${policy.unverified} ${stale}`;
+}
@@ -0,0 +1,76 @@
+/**
+ * Server-Sent Events parsing, per the WHATWG event-stream format: `data:` lines are
+ * joined with "\n", a blank line dispatches the event, lines starting with ":" are
+ * comments, and CRLF / CR / LF all end a line.
+ */
+
+/**
+ * Push-style parser. Feed it decoded text in arbitrary chunks; onEvent receives
+ * { event, data, id, retry } for every dispatched event.
+ */
+export function createSseParser(onEvent) {
+  let buffer = "";
+  let data = [];
+  let event = "";
+  let id = undefined;
+  let retry = undefined;
+
+  function dispatch() {
+    if (data.length) onEvent({ event: event || "message", data: data.join("\n"), id, retry });
+    data = [];
+    event = "";
+    retry = undefined;
+  }
+
+  function line(l) {
+    if (l === "") return dispatch();
+    if (l.startsWith(":")) return;
+
+    const i = l.indexOf(":");
+    const field = i === -1 ? l : l.slice(0, i);
+    let value = i === -1 ? "" : l.slice(i + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    if (field === "data") data.push(value);
+    else if (field === "event") event = value;
+    else if (field === "id" && !value.includes("\0")) id = value;
+    else if (field === "retry" && /^\d+$/.test(value)) retry = Number(value);
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      let m;
+      // Hold back a trailing "\r": it may be the first half of a CRLF split across chunks.
+      while ((m = /\r\n|\r(?!$)|\n/.exec(buffer))) {
+        line(buffer.slice(0, m.index));
+        buffer = buffer.slice(m.index + m[0].length);
+      }
+    },
+
+    // End of stream: a final unterminated event is discarded, as browsers do.
+    end() {
+      if (buffer.endsWith("\r")) line(buffer.slice(0, -1));
+      buffer = "";
+      data = [];
+    },
+  };
+}
+
+/**
+ * Async iterator over the events of a fetch() Response body, read incrementally so
+ * callers can act on an event as soon as it arrives.
+ */
+export async function* readSseEvents(body) {
+  const queue = [];
+  const parser = createSseParser((e) => queue.push(e));
+  const decoder = new TextDecoder();
+
+  for await (const chunk of body) {
+    parser.push(typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true }));
+    while (queue.length) yield queue.shift();
+  }
+  parser.push(decoder.decode());
+  parser.end();
+  while (queue.length) yield queue.shift();
+}
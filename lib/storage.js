@@ -0,0 +1,303 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Storage adapters for the queue, locks and dedupe markers.
+ *
+ * Every adapter exposes the same small Redis-shaped surface (values are strings):
+ *   rpush(key, value) / lpush(key, value) / lpop(key)
+ *   lmove(source, destination)          pop left of source, push right of destination
+ *   lrem(key, count, value) / lrange(key, start, stop) / llen(key)
+ *   zadd(key, score, member) / zrangeByScore(key, min, max, { offset, count }) / zrem(key, member)
+ *   zcard(key)
+ *   set(key, value, { nx, ex })         resolves true if the value was written
+ *   get(key) / del(...keys) / incr(key) / expire(key, seconds)
+ *   compareAndExpire(key, value, seconds) / compareAndDelete(key, value)
+ *                                       only act if key still holds value; resolve true if so
+ *
+ * Pick one with QUEUE_STORE=kv|memory|file (default kv). The file store persists to
+ * QUEUE_STORE_PATH (default .data/store.json) so the webhook and worker can share a
+ * queue when run locally.
+ */
+
+/** -----------------------------
+ * Vercel KV
+ * ----------------------------- */
+const COMPARE_AND_EXPIRE_LUA =
+  'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("expire", KEYS[1], ARGV[2]) else return 0 end';
+const COMPARE_AND_DELETE_LUA =
+  'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+export async function createKvStore() {
+  const { createClient } = await import("@vercel/kv");
+
+  // Disable automatic deserialization so every adapter hands back plain strings.
+  const kv = createClient({
+    url: process.env.KV_REST_API_URL,
+    token: process.env.KV_REST_API_TOKEN,
+    automaticDeserialization: false,
+  });
+
+  return {
+    rpush: (key, value) => kv.rpush(key, value),
+    lpush: (key, value) => kv.lpush(key, value),
+    lpop: (key) => kv.lpop(key),
+    lmove: (source, destination) => kv.lmove(source, destination, "left", "right"),
+    lrem: (key, count, value) => kv.lrem(key, count, value),
+    lrange: (key, start, stop) => kv.lrange(key, start, stop),
+    llen: (key) => kv.llen(key),
+    zadd: (key, score, member) => kv.zadd(key, { score, member }),
+    zrangeByScore: (key, min, max, { offset = 0, count = 100 } = {}) =>
+      kv.zrange(key, min, max, { byScore: true, offset, count }),
+    zrem: (key, member) => kv.zrem(key, member),
+    zcard: (key) => kv.zcard(key),
+    async set(key, value, { nx = false, ex } = {}) {
+      const opts = {};
+      if (nx) opts.nx = true;
+      if (ex) opts.ex = ex;
+      return (await kv.set(key, value, opts)) === "OK";
+    },
+    get: (key) => kv.get(key),
+    del: (...keys) => kv.del(...keys),
+    incr: (key) => kv.incr(key),
+    expire: (key, seconds) => kv.expire(key, seconds),
+    async compareAndExpire(key, value, seconds) {
+      return (await kv.eval(COMPARE_AND_EXPIRE_LUA, [key], [value, String(seconds)])) === 1;
+    },
+    async compareAndDelete(key, value) {
+      return (await kv.eval(COMPARE_AND_DELETE_LUA, [key], [value])) === 1;
+    },
+  };
+}
+
+/** -----------------------------
+ * In-memory (single process; tests and local runs)
+ * ----------------------------- */
+export function createMemoryStore(initial = {}) {
+  // key -> { type: "string"|"list"|"zset", value, expiresAt }
+  const data = new Map(Object.entries(initial));
+
+  function entry(key, type) {
+    const e = data.get(key);
+    if (!e) return null;
+    if (e.expiresAt && e.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    if (type && e.type !== type) throw new Error(`WRONGTYPE ${key} holds a ${e.type}, not a ${type}`);
+    return e;
+  }
+
+  function list(key, create = false) {
+    const e = entry(key, "list");
+    if (e) return e.value;
+    if (!create) return [];
+    const value = [];
+    data.set(key, { type: "list", value });
+    return value;
+  }
+
+  function dropIfEmpty(key) {
+    const e = data.get(key);
+    if (e && Array.isArray(e.value) && !e.value.length) data.delete(key);
+  }
+
+  // Redis-style inclusive range with negative indexes.
+  function sliceRange(arr, start, stop) {
+    const len = arr.length;
+    const from = start < 0 ? Math.max(0, len + start) : start;
+    const to = stop < 0 ? len + stop : Math.min(stop, len - 1);
+    return from > to ? [] : arr.slice(from, to + 1);
+  }
+
+  return {
+    // Exposed so the file store can persist and restore the whole dataset.
+    dump: () => Object.fromEntries(data),
+
+    async rpush(key, value) {
+      return list(key, true).push(String(value));
+    },
+    async lpush(key, value) {
+      return list(key, true).unshift(String(value));
+    },
+    async lpop(key) {
+      const value = list(key).shift() ?? null;
+      dropIfEmpty(key);
+      return value;
+    },
+    async lmove(source, destination) {
+      const value = list(source).shift() ?? null;
+      dropIfEmpty(source);
+      if (value != null) list(destination, true).push(value);
+      return value;
+    },
+    async lrem(key, count, value) {
+      const arr = list(key);
+      let removed = 0;
+      for (let i = 0; i < arr.length && (!count || removed < count); ) {
+        if (arr[i] === String(value)) {
+          arr.splice(i, 1);
+          removed++;
+        } else {
+          i++;
+        }
+      }
+      dropIfEmpty(key);
+      return removed;
+    },
+    async lrange(key, start, stop) {
+      return sliceRange(list(key), start, stop);
+    },
+    async llen(key) {
+      return list(key).length;
+    },
+
+    async zadd(key, score, member) {
+      let e = entry(key, "zset");
+      if (!e) {
+        e = { type: "zset", value: [] };
+        data.set(key, e);
+      }
+      const existing = e.value.findIndex((m) => m.member === String(member));
+      if (existing >= 0) e.value.splice(existing, 1);
+      e.value.push({ score: Number(score), member: String(member) });
+      e.value.sort((a, b) => a.score - b.score);
+      return existing >= 0 ? 0 : 1;
+    },
+    async zrangeByScore(key, min, max, { offset = 0, count = 100 } = {}) {
+      const e = entry(key, "zset");
+      if (!e) return [];
+      return e.value
+        .filter((m) => m.score >= min && m.score <= max)
+        .slice(offset, offset + count)
+        .map((m) => m.member);
+    },
+    async zrem(key, member) {
+      const e = entry(key, "zset");
+      if (!e) return 0;
+      const idx = e.value.findIndex((m) => m.member === String(member));
+      if (idx < 0) return 0;
+      e.value.splice(idx, 1);
+      dropIfEmpty(key);
+      return 1;
+    },
+    async zcard(key) {
+      return entry(key, "zset")?.value.length ?? 0;
+    },
+
+    async set(key, value, { nx = false, ex } = {}) {
+      if (nx && entry(key)) return false;
+      data.set(key, {
+        type: "string",
+        value: String(value),
+        expiresAt: ex ? Date.now() + ex * 1000 : null,
+      });
+      return true;
+    },
+    async get(key) {
+      return entry(key, "string")?.value ?? null;
+    },
+    async del(...keys) {
+      let removed = 0;
+      for (const key of keys) if (entry(key) && data.delete(key)) removed++;
+      return removed;
+    },
+    async incr(key) {
+      const e = entry(key, "string");
+      const next = (Number(e?.value) || 0) + 1;
+      data.set(key, { type: "string", value: String(next), expiresAt: e?.expiresAt ?? null });
+      return next;
+    },
+    async expire(key, seconds) {
+      const e = entry(key);
+      if (!e) return 0;
+      e.expiresAt = Date.now() + seconds * 1000;
+      return 1;
+    },
+    async compareAndExpire(key, value, seconds) {
+      const e = entry(key, "string");
+      if (!e || e.value !== String(value)) return false;
+      e.expiresAt = Date.now() + seconds * 1000;
+      return true;
+    },
+    async compareAndDelete(key, value) {
+      const e = entry(key, "string");
+      if (!e || e.value !== String(value)) return false;
+      data.delete(key);
+      return true;
+    },
+  };
+}
+
+/** -----------------------------
+ * Local JSON file (multi-process local dev; not for production)
+ * ----------------------------- */
+export function createFileStore(filePath) {
+  const abs = path.resolve(filePath);
+
+  function load() {
+    try {
+      return createMemoryStore(JSON.parse(fs.readFileSync(abs, "utf8")));
+    } catch (e) {
+      if (e?.code !== "ENOENT") console.warn("File store unreadable; starting empty:", abs, e?.message);
+      return createMemoryStore();
+    }
+  }
+
+  function save(mem) {
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    const tmp = `${abs}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(mem.dump()));
+    fs.renameSync(tmp, abs);
+  }
+
+  // Each call re-reads the file, applies one operation and writes it back. Calls are
+  // serialized within a process; across processes the last writer wins.
+  let chain = Promise.resolve();
+  const store = {};
+  for (const op of Object.keys(createMemoryStore())) {
+    if (op === "dump") continue;
+    store[op] = (...args) => {
+      const run = chain.then(async () => {
+        const mem = load();
+        const result = await mem[op](...args);
+        save(mem);
+        return result;
+      });
+      chain = run.catch(() => {});
+      return run;
+    };
+  }
+  return store;
+}
+
+/** -----------------------------
+ * Selection
+ * ----------------------------- */
+let storePromise = null;
+
+// A store that failed to start (missing env, KV import error) is forgotten, so the next
+// call tries again instead of failing until the next cold start.
+function remember(promise) {
+  storePromise = promise;
+  promise.catch(() => {
+    if (storePromise === promise) storePromise = null;
+  });
+  return promise;
+}
+
+export function getStore() {
+  if (storePromise) return storePromise;
+  const kind = (process.env.QUEUE_STORE || "kv").trim().toLowerCase();
+  if (kind === "memory") return remember(Promise.resolve(createMemoryStore()));
+  if (kind === "file") {
+    return remember(Promise.resolve(createFileStore(process.env.QUEUE_STORE_PATH || ".data/store.json")));
+  }
+  if (kind === "kv") return remember(createKvStore());
+  throw new Error(`Unknown QUEUE_STORE: ${kind}`);
+}
+
+// Swap the active store (tests, scripts).
+export function setStore(store) {
+  remember(Promise.resolve(store));
+}
@@ -0,0 +1,148 @@
+/**
+ * Normalize webhook bodies into the internal job shape.
+ *
+ * Accepts the original flat bridge body ({ ticketId, company, subject, description, vip })
+ * as well as Freshservice's native ticket placeholders (ticket_id, ticket_subject,
+ * ticket_description as HTML, department_name, requester fields, custom fields), either
+ * at the top level or wrapped in freshdesk_webhook / freshservice_webhook / ticket.
+ */
+
+// Candidate source paths per internal field, tried in order. Dotted paths reach into
+// nested objects (e.g. custom_fields.vip). Override per field with WEBHOOK_FIELD_MAP.
+export const DEFAULT_FIELD_MAP = {
+  ticketId: ["ticketId", "ticket_id", "id"],
+  company: ["company", "department_name", "ticket_department_name", "requester_company", "company_name"],
+  subject: ["subject", "ticket_subject"],
+  description: ["description", "ticket_description", "description_text"],
+  vip: ["vip", "ticket_requester_vip", "requester_vip", "custom_fields.vip", "ticket_cf_vip", "cf_vip"],
+  priority: ["priority", "ticket_priority"],
+  urgency: ["urgency", "ticket_urgency"],
+  requesterEmail: ["requesterEmail", "ticket_requester_email", "requester_email", "requester.email"],
+  requesterName: ["requesterName", "ticket_requester_name", "requester_name", "requester.name"],
+  category: ["category", "ticket_category"],
+  group: ["group", "ticket_group_name", "group_name"],
+  source: ["source", "ticket_source"],
+};
+
+/**
+ * Merge a JSON override ({ field: "path" | ["path", ...] }) onto the defaults.
+ */
+export function parseFieldMap(json) {
+  if (!json) return DEFAULT_FIELD_MAP;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid WEBHOOK_FIELD_MAP JSON: ${String(e?.message || e)}`);
+  }
+
+  const map = { ...DEFAULT_FIELD_MAP };
+  for (const [field, paths] of Object.entries(overrides || {})) {
+    map[field] = Array.isArray(paths) ? paths : [paths];
+  }
+  return map;
+}
+
+/** -----------------------------
+ * Value helpers
+ * ----------------------------- */
+function getPath(obj, path) {
+  let cur = obj;
+  for (const part of String(path).split(".")) {
+    if (cur == null || typeof cur !== "object") return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function firstPresent(obj, paths) {
+  for (const p of paths || []) {
+    const v = getPath(obj, p);
+    if (v != null && v !== "") return v;
+  }
+  return undefined;
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+// Freshservice sends ticket_description as rendered HTML.
+export function htmlToText(html) {
+  const text = String(html || "")
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((l) => l.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Only treat values that carry real markup as HTML, so a plain "<username>" survives.
+const HTML_TAG = /<\/?(p|div|br|span|li|ul|ol|b|i|u|strong|em|a|table|tr|td|th|h[1-6]|font|img)\b[^>]*>/i;
+
+function toText(v) {
+  const s = String(v ?? "");
+  return HTML_TAG.test(s) ? htmlToText(s) : s.trim();
+}
+
+function toBool(v) {
+  if (typeof v === "boolean") return v;
+  return ["true", "yes", "y", "1", "on", "checked"].includes(String(v ?? "").trim().toLowerCase());
+}
+
+// "#SR-1234" / "INC-1234" -> "1234"; numeric ids pass through.
+function toTicketId(v) {
+  if (v == null || v === "") return undefined;
+  if (typeof v === "number") return v;
+  const m = String(v).trim().match(/(\d+)\s*$/);
+  return m ? m[1] : String(v).trim();
+}
+
+function unwrap(body) {
+  if (!body || typeof body !== "object") return {};
+  for (const k of ["freshdesk_webhook", "freshservice_webhook", "ticket"]) {
+    if (body[k] && typeof body[k] === "object") return { ...body, ...body[k] };
+  }
+  return body;
+}
+
+/**
+ * Map a webhook body onto { ticketId, company, subject, description, vip, priority,
+ * urgency, requesterEmail, requesterName, category, group, source }.
+ */
+export function normalizeTicketPayload(body, fieldMap = DEFAULT_FIELD_MAP) {
+  const src = unwrap(body);
+  const pick = (field) => firstPresent(src, fieldMap[field]);
+  const text = (field) => String(pick(field) ?? "").trim();
+
+  return {
+    ticketId: toTicketId(pick("ticketId")),
+    company: text("company"),
+    subject: toText(pick("subject")),
+    description: toText(pick("description")),
+    vip: toBool(pick("vip")),
+    priority: pick("priority") ?? null,
+    urgency: pick("urgency") ?? null,
+    requesterEmail: text("requesterEmail").toLowerCase(),
+    requesterName: text("requesterName"),
+    category: text("category"),
+    group: text("group"),
+    source: pick("source") ?? null,
+  };
+}
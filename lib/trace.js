@@ -0,0 +1,104 @@
+import { getStore } from "./storage.js";
+
+const TRACE_PREFIX = "fs:guru:trace:"; // trace:<jobId>
+const TRACE_TTL_SECONDS = Math.max(60, Number(process.env.TRACE_TTL_SECONDS || 24 * 3600));
+
+// Ticket text, and prompts or answers built from it (exemptions included), can carry PII;
+// traces keep only their size.
+const REDACTED_KEYS = new Set(["description", "question", "answerText", "exemptionsText"]);
+
+// Keep persisted traces well under KV value limits.
+const MAX_STRING = 2000;
+const MAX_ARRAY = 25;
+const MAX_DEPTH = 5;
+const MAX_EVENTS = 50;
+
+export function summarizeForTrace(value, depth = 0) {
+  if (value == null || typeof value === "number" || typeof value === "boolean") return value;
+  if (typeof value === "string") {
+    return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… [${value.length} chars]` : value;
+  }
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[array(${value.length})]` : "[object]";
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY).map((v) => summarizeForTrace(v, depth + 1));
+    if (value.length > MAX_ARRAY) items.push(`… ${value.length - MAX_ARRAY} more`);
+    return items;
+  }
+  if (typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = REDACTED_KEYS.has(k) && typeof v === "string" ? `[redacted ${v.length} chars]` : summarizeForTrace(v, depth + 1);
+    }
+    return out;
+  }
+  return String(value);
+}
+
+// Compact view of Guru cards for stage outputs.
+export function cardsForTrace(cards) {
+  return (cards || []).map((c) => ({
+    id: c?.id,
+    title: c?.preferredPhrase || c?.title,
+    collection: c?.collection?.name || c?.collection?.id,
+    boards: (c?.boards || []).map((b) => b?.title || b?.id),
+  }));
+}
+
+/**
+ * Per-job execution trace. Each stage records its inputs, outputs (or error) and
+ * duration; `summarize` maps a stage result to what is worth keeping. `log` attaches
+ * an event (e.g. MCP progress) to the innermost running stage.
+ */
+export function createTrace(jobId) {
+  const active = [];
+
+  const trace = {
+    jobId,
+    startedAt: Date.now(),
+    stages: [],
+    events: [],
+
+    async stage(name, inputs, fn, { summarize } = {}) {
+      const rec = { name, inputs: summarizeForTrace(inputs), startedAt: Date.now() };
+      trace.stages.push(rec);
+      active.push(rec);
+      try {
+        const out = await fn();
+        rec.outputs = summarizeForTrace(summarize ? summarize(out) : out);
+        return out;
+      } catch (e) {
+        rec.error = String(e?.message || e);
+        throw e;
+      } finally {
+        rec.durationMs = Date.now() - rec.startedAt;
+        active.splice(active.lastIndexOf(rec), 1);
+      }
+    },
+
+    log(type, data) {
+      const rec = active[active.length - 1];
+      const list = rec ? (rec.events ||= []) : trace.events;
+      if (list.length < MAX_EVENTS) list.push({ type, at: Date.now(), data: summarizeForTrace(data) });
+    },
+
+    toJSON() {
+      const out = { jobId: trace.jobId, startedAt: trace.startedAt, stages: trace.stages };
+      if (trace.events.length) out.events = trace.events;
+      return out;
+    },
+  };
+  return trace;
+}
+
+export async function saveTrace(trace, extra = {}) {
+  if (!trace?.jobId) return;
+  const store = await getStore();
+  const body = { ...trace.toJSON(), ...extra, finishedAt: Date.now() };
+  await store.set(`${TRACE_PREFIX}${trace.jobId}`, JSON.stringify(body), { ex: TRACE_TTL_SECONDS });
+}
+
+export async function getTrace(jobId) {
+  const store = await getStore();
+  const raw = await store.get(`${TRACE_PREFIX}${jobId}`);
+  return raw ? JSON.parse(raw) : null;
+}
@@ -22,11 +22,23 @@
  *   GURU_AGENT_ID=648a2aa8-2593-4851-b5dd-4f93941b7924
  *   OPENAI_API_KEY=...
  *   OPENAI_MODEL=gpt-5
+ *   GURU_MCP_URL=http://localhost:8787/mcp   (optional; offline stand-in, see dev/fake-guru-mcp.js)
+ *   SCOPING_CONFIG_FILE=./scoping.json      (optional; per-company boards/collections, see lib/scoping.js)
+ *   QUEUE_STORE=file                        (optional; where company board resolutions are cached)
  */
 
 import "dotenv/config";
 import express from "express";
 import OpenAI from "openai";
+import { readJsonRpcResponse } from "./lib/mcp-client.js";
+import { GURU_COLLECTIONS } from "./lib/knowledge-guru.js";
+import { isInScope, answerCollections } from "./lib/knowledge.js";
+import { getCompanyScope } from "./lib/scoping.js";
+import { resolveCompanyBoard, describeCompanyMatch } from "./lib/company-match.js";
+import { getCachedCompanyBoard, cacheCompanyBoard } from "./lib/company-board-cache.js";
+import { assessSource, describeFlags, describeSourcePolicy, withConfirmationPrerequisite } from "./lib/source-policy.js";
+import { escapeHtml, renderExcludedSourcesHtml, sourceFlagBadgeHtml } from "./lib/note-html.js";
+import { recordCrossClientCitations } from "./lib/citation-audit.js";
 
 const app = express();
 app.use(express.json({ limit: "1mb" }));
@@ -50,8 +62,7 @@ const GURU_AGENT_ID = mustEnv("GURU_AGENT_ID"); // 648a2aa8-2593-4851-b5dd-4f939
 const OPENAI_API_KEY = mustEnv("OPENAI_API_KEY");
 const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-5";
 
-const CLIENTS_COLLECTION_ID = "f46a8a25-78ae-4214-b181-185d8d5d455d";
-const INTERNAL_COLLECTION_ID = "a45f67d4-19fe-47e1-a86a-34b8cd438a76";
+const { clients: CLIENTS_COLLECTION_ID, internal: INTERNAL_COLLECTION_ID } = GURU_COLLECTIONS;
 
 const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
 
@@ -81,15 +92,6 @@ async function freshserviceAddPrivateNote(ticketId, body) {
 /** -----------------------------
  * HTML rendering helpers
  * ----------------------------- */
-function escapeHtml(s) {
-  return String(s || "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
 function renderSourcesAsHtmlLinks(sources = []) {
   if (!sources.length) {
     return `<ul><li><em>No applicable Guru sources found within allowed scope.</em></li></ul>`;
@@ -101,13 +103,13 @@ function renderSourcesAsHtmlLinks(sources = []) {
     const ver = s.verificationState
       ? ` <span style="color:#777">(${escapeHtml(s.verificationState)})</span>`
       : "";
-    return `<li>${url ? `<a href="${url}" target="_blank" rel="noreferrer">${title}</a>` : title}${ver}</li>`;
+    return `<li>${url ? `<a href="${url}" target="_blank" rel="noreferrer">${title}</a>` : title}${ver}${sourceFlagBadgeHtml(s)}</li>`;
   });
 
   return `<ul>${items.join("")}</ul>`;
 }
 
-function renderRunbookHtml({ company, runbook, sourcesHtml, followUps, signals }) {
+function renderRunbookHtml({ company, runbook, sourcesHtml, excludedSources, followUps, signals }) {
   const stepsHtml = (runbook.steps || [])
     .map(
       (s) => `
@@ -155,6 +157,7 @@ ${runbook.notes?.length ? `
 
 <h4>📚 Sources</h4>
 ${sourcesHtml}
+${renderExcludedSourcesHtml(excludedSources)}
 
 ${(followUps || []).length ? `
 <h4>❓ Suggested Follow-ups</h4>
@@ -163,7 +166,7 @@ ${(followUps || []).length ? `
 
 <hr/>
 <p style="color:#777; font-size:12px;">
-VIP=${signals.vip} • Privileged=${signals.privileged} • ApprovalGate=${signals.approvalGate} • ExemptionsCard=${signals.exemptionsFound} • CompanyBoard=${escapeHtml(signals.companyBoardId || "not-detected")}
+VIP=${signals.vip} • Privileged=${signals.privileged} • ApprovalGate=${signals.approvalGate} • ExemptionsCard=${signals.exemptionsFound} • CompanyBoard=${escapeHtml(signals.companyBoardId || "not-detected")} • CompanyMatch=${escapeHtml(signals.companyMatch)} • SourcePolicy=${escapeHtml(signals.sourcePolicy)}
 </p>
 `.trim();
 }
@@ -173,6 +176,9 @@ VIP=${signals.vip} • Privileged=${signals.privileged} • ApprovalGate=${signa
  * ----------------------------- */
 let rpcId = 1;
 
+// Overridable so the bridge can run against dev/fake-guru-mcp.js.
+const GURU_MCP_URL = process.env.GURU_MCP_URL || "https://mcp.api.getguru.com/mcp";
+
 async function guruToolCall({ name, args }) {
   const basic = Buffer.from(`${GURU_EMAIL}:${GURU_TOKEN}`).toString("base64");
 
@@ -186,7 +192,7 @@ async function guruToolCall({ name, args }) {
     },
   };
 
-  const res = await fetch("https://mcp.api.getguru.com/mcp", {
+  const res = await fetch(GURU_MCP_URL, {
     method: "POST",
     headers: {
       Authorization: `Basic ${basic}`,
@@ -196,19 +202,17 @@ async function guruToolCall({ name, args }) {
     body: JSON.stringify(payload),
   });
 
-  const text = await res.text().catch(() => "");
-  
-
   if (!res.ok) {
+    const text = await res.text().catch(() => "");
     throw new Error(`Guru MCP HTTP ${res.status}: ${text}`);
   }
 
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch (e) {
-    throw new Error(`Guru MCP parse error: ${String(e?.message || e)}; body=${text}`);
-  }
+  // JSON or SSE stream. Only the method of progress/log notifications is logged: their
+  // params can echo the question, which carries ticket text.
+  const json = await readJsonRpcResponse(res, payload.id, {
+    service: "guru",
+    onMessage: (msg) => console.log(`Guru MCP ${msg.method}`),
+  });
 
   if (json.error) {
     throw new Error(`Guru MCP error: ${json.error.message}${json.error.data ? ` — ${json.error.data}` : ""}`);
@@ -224,7 +228,10 @@ function normalize(s) {
   return String(s || "").trim().toLowerCase();
 }
 
-function isInternalOrClientCompanyCard(card, companyBoardId) {
+function isInternalOrClientCompanyCard(card, companyBoardId, companyScope = null) {
+  // Configured companies get the shared scope rules (extra/excluded collections, boards).
+  if (companyScope) return isInScope(card, { companyBoardId, companyScope }, GURU_COLLECTIONS);
+
   const colId = card?.collection?.id;
   if (!colId) return false;
 
@@ -239,15 +246,11 @@ function isInternalOrClientCompanyCard(card, companyBoardId) {
   return false;
 }
 
-function findCompanyBoardIdFromResults(results, companyName) {
-  const company = normalize(companyName);
-  for (const card of results) {
-    const boards = Array.isArray(card?.boards) ? card.boards : [];
-    for (const b of boards) {
-      if (normalize(b?.title).includes(company)) return b.id;
-    }
-  }
-  return null;
+// Resolve the company board, remembering the best match on `state` for the note footer.
+function findCompanyBoardIdFromResults(results, companyName, state = {}) {
+  const match = resolveCompanyBoard(results, companyName, { aliases: state.aliases });
+  if (match && (match.boardId || !state.match)) state.match = match;
+  return match?.boardId || null;
 }
 
 function scoreExemptionsCard(card) {
@@ -302,11 +305,13 @@ function formatAnswerResult(answerResult) {
 
 function cardToSource(card) {
   if (!card?.id) return null;
+  const freshness = assessSource(card);
   return {
     id: card.id,
     title: card.preferredPhrase || card.title || "Untitled",
     url: card.slug ? `https://app.getguru.com/card/${card.slug}` : undefined,
     verificationState: card.verificationState,
+    ...(freshness.flags.length ? { freshness } : {}),
   };
 }
 
@@ -320,24 +325,6 @@ function dedupeSourcesById(list) {
   });
 }
 
-function renderSourcesAsLinks(sources = []) {
-  if (!sources.length) return "- _No applicable Guru sources found within allowed scope._";
-
-  return sources
-    .map((s, i) => {
-      const title = s.title || "Untitled";
-      const url = s.url || "";
-      const id = s.id ? ` (id=${s.id})` : "";
-      const ver = s.verificationState ? ` — ${s.verificationState}` : "";
-
-      // Markdown link; Freshservice renders it nicely
-      const linkedTitle = url ? `[${title}](${url})` : title;
-
-      return `${i + 1}. ${linkedTitle}${id}${ver}`;
-    })
-    .join("\n");
-}
-
 /** -----------------------------
  * Exemptions relevance heuristic (conservative)
  * ----------------------------- */
@@ -377,7 +364,7 @@ function exemptionsLikelyRelevant(exemptionsText, subject, description) {
 /** -----------------------------
  * Enforce scope on answer sources (post-check)
  * ----------------------------- */
-async function filterAnswerSourcesToAllowedScope(sources, companyBoardId) {
+async function filterAnswerSourcesToAllowedScope(sources, companyBoardId, companyScope) {
   const allowed = [];
   const rejected = [];
 
@@ -394,10 +381,22 @@ async function filterAnswerSourcesToAllowedScope(sources, companyBoardId) {
         args: { id: cardId },
       });
 
-      if (isInternalOrClientCompanyCard(card, companyBoardId)) {
-        allowed.push(s);
+      const freshness = assessSource(card);
+      if (!isInternalOrClientCompanyCard(card, companyBoardId, companyScope)) {
+        if (card?.collection?.id === CLIENTS_COLLECTION_ID) {
+          const boards = (card.boards || []).map((b) => b?.title || b?.id).filter(Boolean).join(", ");
+          rejected.push({ source: s, reason: `another client's board${boards ? ` (${boards})` : ""}`, crossClient: true });
+        } else {
+          rejected.push({ source: s, reason: "outside allowed collection/board scope" });
+        }
+      } else if (freshness.action === "exclude") {
+        rejected.push({ source: s, reason: `excluded by source policy: ${describeFlags(freshness)}`, policy: true });
       } else {
-        rejected.push({ source: s, reason: "outside allowed collection/board scope" });
+        allowed.push({
+          ...s,
+          verificationState: s.verificationState ?? card?.verificationState,
+          ...(freshness.flags.length ? { freshness } : {}),
+        });
       }
     } catch (e) {
       rejected.push({ source: s, reason: `lookup failed: ${String(e?.message || e)}` });
@@ -596,6 +595,15 @@ app.post("/freshservice/webhook", async (req, res) => {
     if (!ticketId) return res.status(400).json({ error: "Missing ticketId" });
     if (!company) return res.status(400).json({ error: "Missing company" });
 
+    const companyScope = await getCompanyScope(company);
+    const matchState = { aliases: companyScope?.aliases, match: null };
+    if (companyScope?.boardIds.length) {
+      matchState.match = { boardId: companyScope.boardIds[0], method: "configured", ambiguous: false };
+    } else {
+      const cached = await getCachedCompanyBoard("guru", company);
+      if (cached) matchState.match = { ...cached, ambiguous: false, cached: true };
+    }
+
     // 1) Build query package via OpenAI
     const qp = await buildQueryPackage({ subject, description, company, vip });
 
@@ -609,8 +617,9 @@ app.post("/freshservice/webhook", async (req, res) => {
     });
     const exResults = coerceSearchResultsToArray(exSearchRaw);
 
-    // Determine company board/folder id
-    let companyBoardId = findCompanyBoardIdFromResults(exResults, company);
+    // Determine company board/folder id (configured or cached boards win over discovery)
+    let companyBoardId =
+      matchState.match?.boardId || findCompanyBoardIdFromResults(exResults, company, matchState);
 
     // If not found, discover company board by searching company name broadly
     if (!companyBoardId) {
@@ -622,7 +631,11 @@ app.post("/freshservice/webhook", async (req, res) => {
         },
       });
       const companyResults = coerceSearchResultsToArray(companySearchRaw);
-      companyBoardId = findCompanyBoardIdFromResults(companyResults, company);
+      companyBoardId = findCompanyBoardIdFromResults(companyResults, company, matchState);
+    }
+
+    if (companyBoardId && !matchState.match?.cached && matchState.match?.method !== "configured") {
+      await cacheCompanyBoard("guru", company, matchState.match);
     }
 
     // Pick best exemptions card candidate
@@ -637,7 +650,12 @@ app.post("/freshservice/webhook", async (req, res) => {
     }
 
     const exCardId =
-      exCard && isInternalOrClientCompanyCard(exCard, companyBoardId) ? exCard.id : null;
+      companyScope?.exemptionsCardId ||
+      (exCard &&
+      isInternalOrClientCompanyCard(exCard, companyBoardId, companyScope) &&
+      assessSource(exCard).action !== "exclude"
+        ? exCard.id
+        : null);
 
     let exemptionsText = "";
     let exCardFull = null;
@@ -671,10 +689,12 @@ app.post("/freshservice/webhook", async (req, res) => {
     const policyResults = coerceSearchResultsToArray(policySearchRaw);
 
     // If company board still unknown, infer from policy results
-    if (!companyBoardId) companyBoardId = findCompanyBoardIdFromResults(policyResults, company);
+    if (!companyBoardId) companyBoardId = findCompanyBoardIdFromResults(policyResults, company, matchState);
 
-    const scopedPolicyResults = policyResults.filter((c) =>
-      isInternalOrClientCompanyCard(c, companyBoardId)
+    const scopedPolicyResults = policyResults.filter(
+      (c) =>
+        isInternalOrClientCompanyCard(c, companyBoardId, companyScope) &&
+        assessSource(c).action !== "exclude"
     );
 
     const scopedContextSummary = scopedPolicyResults
@@ -717,7 +737,7 @@ app.post("/freshservice/webhook", async (req, res) => {
       args: {
         question: finalQuestion,
         agentId: GURU_AGENT_ID,
-        collectionIds: [CLIENTS_COLLECTION_ID, INTERNAL_COLLECTION_ID],
+        collectionIds: answerCollections({ companyScope }, GURU_COLLECTIONS),
       },
     });
 
@@ -725,14 +745,7 @@ app.post("/freshservice/webhook", async (req, res) => {
 
     // 6) Enforce scope on returned sources
     const { allowed: allowedSources, rejected: rejectedSources } =
-      await filterAnswerSourcesToAllowedScope(sources, companyBoardId);
-
-    const sourcesBlock = renderSourcesAsLinks(allowedSources);
-    const rejectedBlock = rejectedSources.length
-      ? rejectedSources
-          .map((r) => `- ${r?.source?.title || r?.source?.id || "unknown"}: ${r.reason}`)
-          .join("\n")
-      : "";
+      await filterAnswerSourcesToAllowedScope(sources, companyBoardId, companyScope);
 
       const contextSources = [
         ...(scopedPolicyResults || []).slice(0, 8).map(cardToSource).filter(Boolean),
@@ -783,10 +796,13 @@ app.post("/freshservice/webhook", async (req, res) => {
         };
       }
 
+      runbook = withConfirmationPrerequisite(runbook, sourcesUsed);
+
       const note = renderRunbookHtml({
         company,
         runbook,
         sourcesHtml,
+        excludedSources: rejectedSources,
         followUps: qp.followUps,
         signals: {
           vip: vip ? "true" : "false",
@@ -794,6 +810,8 @@ app.post("/freshservice/webhook", async (req, res) => {
           approvalGate: shouldConsiderApprovals ? "true" : "false",
           exemptionsFound: exCardId ? "true" : "false",
           companyBoardId,
+          companyMatch: describeCompanyMatch(matchState.match),
+          sourcePolicy: `${describeSourcePolicy()} (flagged ${sourcesUsed.filter((s) => s.freshness).length}, excluded ${rejectedSources.filter((x) => x.policy).length})`,
         },
       });
 
@@ -802,6 +820,12 @@ app.post("/freshservice/webhook", async (req, res) => {
 
     await freshserviceAddPrivateNote(ticketId, note);
 
+    // Only citations that reached a posted note count.
+    await recordCrossClientCitations(
+      company,
+      rejectedSources.filter((x) => x.crossClient).map((x) => x.source.id)
+    );
+
     res.json({ ok: true });
   } catch (e) {
     console.error(e);
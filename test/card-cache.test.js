@@ -0,0 +1,34 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, setStore } from "../lib/storage.js";
+import { createCardCache } from "../lib/card-cache.js";
+
+const provider = (docs) => ({
+  name: "fake",
+  cacheDocuments: true,
+  fetched: 0,
+  async getDocument(id) {
+    this.fetched++;
+    return docs[id];
+  },
+});
+
+beforeEach(() => setStore(createMemoryStore()));
+
+test("versioned documents are shared across runs", async () => {
+  const p = provider({ a: { id: "a", lastModified: "2026-01-01T00:00:00Z" } });
+  await createCardCache(p).get("a");
+  const cache = createCardCache(p);
+  assert.equal((await cache.get("a")).id, "a");
+  assert.equal(p.fetched, 1);
+  assert.equal(cache.stats.storeHits, 1);
+});
+
+test("documents without lastModified aren't cached, and say so", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const p = provider({ a: { id: "a" } });
+  await createCardCache(p).get("a");
+  await createCardCache(p).get("a");
+  assert.equal(p.fetched, 2);
+  assert.match(warn.mock.calls[0].arguments[0], /Card cache skipped a: no lastModified/);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchesCompany, resolveCompanyBoard } from "../lib/company-match.js";
+
+const cardsOn = (...titles) => [{ boards: titles.map((title, i) => ({ id: `b${i}`, title })) }];
+
+test("the full normalized name resolves", () => {
+  const match = resolveCompanyBoard(cardsOn("ACME Corporation", "Globex"), "Acme Corp");
+  assert.equal(match.boardTitle, "ACME Corporation");
+  assert.equal(match.method, "name");
+  assert.equal(match.ambiguous, false);
+  assert.ok(matchesCompany("ACME Corporation", "Acme Corp"));
+});
+
+test("one shared token is ambiguous, not a match", () => {
+  const match = resolveCompanyBoard(cardsOn("Acme Health"), "Acme");
+  assert.equal(match.boardId, null);
+  assert.equal(match.ambiguous, true);
+  assert.deepEqual(match.candidates.map((c) => c.title), ["Acme Health"]);
+  assert.equal(matchesCompany("Acme Health", "Acme"), false);
+});
+
+test("an exact board wins over partial overlaps", () => {
+  const match = resolveCompanyBoard(cardsOn("Acme Health", "Acme Inc"), "Acme");
+  assert.equal(match.boardTitle, "Acme Inc");
+});
+
+test("a prefix isn't a match", () => {
+  assert.equal(resolveCompanyBoard(cardsOn("Acme Services"), "Ace"), null);
+  assert.equal(matchesCompany("Acme Services", "Ace"), false);
+});
+
+test("aliases count as exact names", () => {
+  const match = resolveCompanyBoard(cardsOn("Acme Health"), "Acme", { aliases: ["Acme Health LLC"] });
+  assert.equal(match.boardTitle, "Acme Health");
+  assert.equal(match.method, "alias");
+  assert.ok(matchesCompany("Acme Health", "Acme", ["Acme Health"]));
+});
+
+test("two exact boards are ambiguous", () => {
+  const match = resolveCompanyBoard(cardsOn("Acme", "ACME Inc."), "Acme");
+  assert.equal(match.ambiguous, true);
+  assert.equal(match.candidates.length, 2);
+});
+
+test("a partial name sharing two words is picked with its score", () => {
+  const match = resolveCompanyBoard(cardsOn("Acme Health", "Globex"), "Acme Health Systems");
+  assert.equal(match.boardTitle, "Acme Health");
+  assert.equal(match.confidence, 0.8);
+  assert.equal(match.ambiguous, false);
+  assert.ok(matchesCompany("Acme Health", "Acme Health Systems"));
+});
+
+test("a runner-up within the margin makes the match ambiguous", () => {
+  const match = resolveCompanyBoard(cardsOn("Acme Health Care", "Acme Health Partners"), "Acme Health Systems");
+  assert.equal(match.boardId, null);
+  assert.equal(match.ambiguous, true);
+  assert.deepEqual(match.candidates.map((c) => c.score), [0.67, 0.67]);
+});
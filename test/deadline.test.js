@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDeadline, isDeadlineError } from "../lib/deadline.js";
+
+test("abort ends the deadline and cancels calls in flight", async () => {
+  const deadline = createDeadline(60_000);
+  const inFlight = deadline.signal();
+  deadline.abort("lock lost");
+
+  assert.equal(inFlight.aborted, true);
+  assert.equal(inFlight.reason.name, "DeadlineExceededError");
+  assert.equal(inFlight.reason.message, "lock lost");
+  assert.throws(() => deadline.signal(), { name: "DeadlineExceededError", message: "lock lost" });
+  assert.equal(deadline.expired(), true);
+  assert.equal(deadline.remaining(), 0);
+  assert.ok(isDeadlineError(Object.assign(new Error("aborted"), { name: "AbortError" }), deadline));
+});
+
+test("a child deadline shares the budget but aborts on its own", () => {
+  const deadline = createDeadline(60_000);
+  const job = deadline.child();
+  assert.equal(job.deadlineAt, deadline.deadlineAt);
+
+  job.abort("lock lost");
+  assert.equal(deadline.expired(), false);
+  assert.ok(deadline.signal());
+});
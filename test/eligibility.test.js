@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadEligibilityRules, evaluateEligibility } from "../lib/eligibility.js";
+
+const rules = (r) => loadEligibilityRules({ json: JSON.stringify(r) });
+const ticket = (extra = {}) => ({ subject: "Calendar access", company: "Acme", requesterEmail: "jo@acme.test", ...extra });
+
+test("no rules: everything is eligible", () => {
+  assert.equal(loadEligibilityRules({}), null);
+  assert.deepEqual(evaluateEligibility(ticket(), null), { eligible: true });
+});
+
+test("any exclude list match skips the ticket", () => {
+  const r = rules({ exclude: { categories: ["Hardware"], subjectPatterns: ["^\\[auto\\]"] } });
+  assert.deepEqual(evaluateEligibility(ticket({ category: "hardware" }), r), { eligible: false, reason: "excluded by categories" });
+  assert.deepEqual(evaluateEligibility(ticket({ subject: "[AUTO] disk alert" }), r), {
+    eligible: false,
+    reason: "excluded by subjectPatterns",
+  });
+  assert.equal(evaluateEligibility(ticket({ category: "Software" }), r).eligible, true);
+});
+
+test("every include list that is set must match", () => {
+  const r = rules({ include: { requesterDomains: ["acme.test"], groups: ["Service Desk"] } });
+  assert.equal(evaluateEligibility(ticket({ group: " service desk " }), r).eligible, true);
+  assert.deepEqual(evaluateEligibility(ticket({ group: "Network" }), r), { eligible: false, reason: "not matched by included groups" });
+  assert.equal(evaluateEligibility(ticket({ group: "Service Desk", requesterEmail: "x@other.test" }), r).eligible, false);
+});
+
+test("exclude wins over include", () => {
+  const r = rules({ include: { companies: ["Acme"] }, exclude: { requesterDomains: ["acme.test"] } });
+  assert.equal(evaluateEligibility(ticket(), r).reason, "excluded by requesterDomains");
+});
+
+test("sources match by Freshservice code or by name", () => {
+  const r = rules({ include: { sources: ["portal", "Chat"] } });
+  assert.equal(evaluateEligibility(ticket({ source: 2 }), r).eligible, true);
+  assert.equal(evaluateEligibility(ticket({ source: "4" }), r).eligible, true);
+  assert.equal(evaluateEligibility(ticket({ source: "Portal" }), r).eligible, true);
+  assert.equal(evaluateEligibility(ticket({ source: 1 }), r).eligible, false);
+  assert.equal(evaluateEligibility(ticket({ source: null }), r).eligible, false);
+});
+
+test("invalid rules JSON fails loudly", () => {
+  assert.throws(() => loadEligibilityRules({ json: "{" }), /Invalid eligibility rules JSON/);
+});
@@ -0,0 +1,41 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, setStore } from "../lib/storage.js";
+import { recordFailure } from "../lib/circuit-breaker.js";
+
+let handler;
+before(async () => {
+  process.env.WORKER_KEY = "worker-secret";
+  ({ default: handler } = await import("../api/health.js"));
+});
+beforeEach(() => setStore(createMemoryStore()));
+
+function call(headers = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      setHeader() {},
+      end(body) {
+        resolve({ status: res.statusCode, body: JSON.parse(body) });
+      },
+    };
+    handler({ method: "GET", url: "/api/health", headers }, res);
+  });
+}
+
+test("anonymous callers only get ok", async () => {
+  assert.deepEqual(await call(), { status: 200, body: { ok: true } });
+  assert.deepEqual((await call({ "x-worker-key": "wrong" })).body, { ok: true });
+});
+
+test("the worker key unlocks breaker state and queue depth", async () => {
+  const { status, body } = await call({ "x-worker-key": "worker-secret" });
+  assert.equal(status, 200);
+  assert.equal(body.breakers.guru.state, "closed");
+  assert.ok(body.depth);
+});
+
+test("an open circuit is a bare 503 without the key", async () => {
+  for (let i = 0; i < 5; i++) await recordFailure("guru");
+  assert.deepEqual(await call(), { status: 503, body: { ok: false } });
+});
@@ -0,0 +1,108 @@
+/**
+ * Offline stand-ins for OpenAI, the Guru MCP server and Freshservice, installed as the
+ * global fetch. Import before anything that reads env at module load (lib/pipeline.js).
+ */
+
+Object.assign(process.env, {
+  QUEUE_STORE: "memory",
+  FRESHSERVICE_DOMAIN: "fs.test",
+  FRESHSERVICE_API_KEY: "fs-key",
+  GURU_EMAIL: "bot@example.com",
+  GURU_API_TOKEN: "guru-token",
+  GURU_AGENT_ID: "agent",
+  OPENAI_API_KEY: "sk-test",
+  OUTBOUND_RETRIES: "0",
+});
+
+export const CLIENTS = "f46a8a25-78ae-4214-b181-185d8d5d455d";
+export const INTERNAL = "a45f67d4-19fe-47e1-a86a-34b8cd438a76";
+
+export const cards = {};
+export function resetCards() {
+  for (const k of Object.keys(cards)) delete cards[k];
+  Object.assign(cards, {
+    acmeExemptions: { id: "acmeExemptions", title: "Acme Exemptions List", slug: "acme-exempt", content: "calendar delegate exempt", collection: { id: CLIENTS, name: "Clients" }, boards: [{ id: "bAcme", title: "Acme Corp" }], verificationState: "TRUSTED" },
+    calendar: { id: "calendar", title: "Calendar delegation", slug: "cal", content: "Use the admin console.", collection: { id: INTERNAL, name: "Internal" }, boards: [], verificationState: "TRUSTED" },
+    otherClient: { id: "otherClient", title: "Other client card", slug: "oth", collection: { id: CLIENTS, name: "Clients" }, boards: [{ id: "bOther", title: "Other Inc" }], verificationState: "TRUSTED" },
+  });
+}
+resetCards();
+
+export const fake = {
+  // Answer sources returned by guru_answer_generation.
+  answerSources: ["calendar", "otherClient"],
+  // Wrap guru_get_card_by_id results in MCP content blocks.
+  wrapCards: false,
+  // Optional (card) => result, to try other guru_get_card_by_id result shapes.
+  cardResult: null,
+  // Status Freshservice answers note posts with.
+  freshserviceStatus: 201,
+  // Optional (url) => void, run as each request goes out.
+  onRequest: null,
+  calls: [],
+};
+
+const json = (o, status = 200, headers = {}) =>
+  new Response(JSON.stringify(o), { status, headers: { "content-type": "application/json", ...headers } });
+const text = (value) => ({ content: [{ type: "text", text: JSON.stringify(value) }] });
+
+const QUERY_PACKAGE = { company: "Acme", searchQuery: "calendar acme", exemptionsQuery: "acme exemptions", question: "How?", isPrivileged: true, checkApprovals: true, followUps: ["Who?"] };
+const RUNBOOK = {
+  title: "Delegate calendar",
+  summary: "Grant delegate access.",
+  prerequisites: ["Confirm platform"],
+  steps: [1, 2, 3].map((step) => ({ step, action: `Step ${step}`, details: "d", verification: "v" })),
+  approvals: { required: false, rationale: "none" },
+  escalation: [],
+  notes: [],
+};
+
+globalThis.fetch = async (url, init = {}) => {
+  url = String(url);
+  fake.calls.push({ url, body: init.body });
+  fake.onRequest?.(url);
+
+  if (url.includes("api.openai.com")) {
+    const name = JSON.parse(init.body).text.format.name;
+    const out = name === "guru_query_package" ? QUERY_PACKAGE : RUNBOOK;
+    return json({ id: "r", object: "response", output: [{ type: "message", role: "assistant", content: [{ type: "output_text", text: JSON.stringify(out), annotations: [] }] }] });
+  }
+
+  if (url.includes("/mcp")) {
+    const rpc = JSON.parse(init.body);
+    if (rpc.method === "initialize") {
+      return json({ jsonrpc: "2.0", id: rpc.id, result: { protocolVersion: "2025-06-18", capabilities: { tools: {} }, serverInfo: { name: "fake" } } }, 200, { "mcp-session-id": "s1" });
+    }
+    if (!("id" in rpc)) return new Response(null, { status: 202 });
+    if (rpc.method === "tools/list") {
+      const tool = (name, properties) => ({ name, inputSchema: { type: "object", properties } });
+      return json({ jsonrpc: "2.0", id: rpc.id, result: { tools: [
+        tool("guru_search_documents", { query: { type: "string" }, agentId: { type: "string" } }),
+        tool("guru_get_card_by_id", { id: { type: "string" } }),
+        tool("guru_answer_generation", { question: { type: "string" }, agentId: { type: "string" }, collectionIds: { type: "array", items: { type: "string" } } }),
+      ] } });
+    }
+
+    const { name, arguments: args } = rpc.params;
+    if (name === "guru_search_documents") {
+      return json({ jsonrpc: "2.0", id: rpc.id, result: text(Object.values(cards).map((c) => ({ id: c.id, title: c.title }))) });
+    }
+    if (name === "guru_get_card_by_id") {
+      const card = cards[args.id];
+      if (!card) return json({ jsonrpc: "2.0", id: rpc.id, error: { code: -32602, message: `Card not found: ${args.id}` } });
+      const result = fake.cardResult ? fake.cardResult(card) : card;
+      return json({ jsonrpc: "2.0", id: rpc.id, result: fake.wrapCards ? text(result) : result });
+    }
+    if (name === "guru_answer_generation") {
+      const sources = fake.answerSources.map((id) => ({ id, title: cards[id]?.title }));
+      return json({ jsonrpc: "2.0", id: rpc.id, result: text({ answer: "Use the admin console.", sources }) });
+    }
+  }
+
+  if (url.includes("fs.test")) {
+    return fake.freshserviceStatus < 300 ? json({ conversation: { id: 1 } }, fake.freshserviceStatus) : json({ error: "no" }, fake.freshserviceStatus);
+  }
+  return new Response("not found", { status: 404 });
+};
+
+export const ticket = (extra = {}) => ({ jobId: "job-1", ticketId: 1, company: "Acme Corp", subject: "calendar", description: "delegate calendar", vip: false, ...extra });
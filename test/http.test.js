@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setImmediate as tick } from "node:timers/promises";
+import { APIError } from "openai";
+import { OutboundError, classifyError, errorRetryAfterMs, retryAfterMs, withRetry } from "../lib/http.js";
+
+const rateLimited = (retryAfter) =>
+  APIError.generate(429, { error: { message: "slow down" } }, "slow down", new Headers({ "retry-after": retryAfter }));
+
+test("retryAfterMs reads seconds, HTTP dates and exhausted Freshservice limits", () => {
+  assert.equal(retryAfterMs(new Headers({ "retry-after": "5" })), 5000);
+  assert.equal(retryAfterMs({ "retry-after": "0" }), 0);
+  const inTenSeconds = new Date(Date.now() + 10_000).toUTCString();
+  assert.ok(Math.abs(retryAfterMs(new Headers({ "retry-after": inTenSeconds })) - 10_000) <= 1000);
+  assert.equal(retryAfterMs(new Headers({ "x-ratelimit-remaining": "0" })), 60_000);
+  assert.equal(retryAfterMs(new Headers({ "x-ratelimit-remaining": "3" })), null);
+  assert.equal(retryAfterMs(undefined), null);
+});
+
+test("errorRetryAfterMs covers OutboundError and OpenAI SDK errors", () => {
+  assert.equal(errorRetryAfterMs(new OutboundError("x", { retryAfterMs: 1500 })), 1500);
+  assert.equal(errorRetryAfterMs(rateLimited("5")), 5000);
+  assert.equal(errorRetryAfterMs(new Error("plain")), null);
+});
+
+test("classifyError", () => {
+  assert.deepEqual(classifyError(new OutboundError("x", { service: "guru", status: 404 })), { retryable: false, reason: "guru 404" });
+  assert.deepEqual(classifyError(rateLimited("5")), { retryable: true, reason: "http 429" });
+  assert.deepEqual(classifyError({ status: 400 }), { retryable: false, reason: "http 400" });
+  assert.deepEqual(classifyError(new TypeError("fetch failed")), { retryable: true, reason: "network" });
+  assert.equal(classifyError(Object.assign(new Error("t"), { name: "TimeoutError" })).reason, "timeout");
+  assert.equal(classifyError(Object.assign(new Error("d"), { name: "DeadlineExceededError" })).reason, "deadline");
+  assert.equal(classifyError(new Error("odd")).retryable, true);
+});
+
+test("withRetry waits as long as an SDK error's Retry-After asks", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const warn = t.mock.method(console, "warn", () => {});
+  let calls = 0;
+  const pending = withRetry(async () => {
+    if (calls++ === 0) throw rateLimited("5");
+    return "ok";
+  }, { retries: 1, service: "openai" });
+
+  await tick();
+  assert.match(warn.mock.calls[0].arguments[0], /retrying in 5000ms/);
+  t.mock.timers.tick(4999);
+  await tick();
+  assert.equal(calls, 1);
+  t.mock.timers.tick(1);
+  assert.equal(await pending, "ok");
+  assert.equal(calls, 2);
+});
+
+test("withRetry stops on fatal errors and when out of retries", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw new OutboundError("nope", { retryable: false });
+    }, { retries: 3 }),
+    /nope/
+  );
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new OutboundError("busy", { retryable: true });
+  }, { retries: 0 }));
+  assert.equal(calls, 1);
+});
+
+test("withRetry doesn't sleep past the deadline", async () => {
+  const deadline = { remaining: () => 1000 };
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw rateLimited("5");
+  }, { retries: 3, deadline }), { status: 429 });
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMcpClient, isRetryableRpcError, readJsonRpcResponse } from "../lib/mcp-client.js";
+import { classifyError } from "../lib/http.js";
+
+const json = (body, headers = {}) =>
+  new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json", ...headers } });
+
+// Fake MCP server: handshake and tools/list succeed, tools/call answers with `error`.
+function clientFailingWith(error) {
+  return createMcpClient({
+    service: "guru",
+    send: async (init) => {
+      const msg = JSON.parse(init.body);
+      if (!("id" in msg)) return new Response(null, { status: 202 });
+      if (msg.method === "initialize") {
+        return json({ jsonrpc: "2.0", id: msg.id, result: { protocolVersion: "2025-06-18", capabilities: { tools: {} } } }, { "mcp-session-id": "s1" });
+      }
+      if (msg.method === "tools/list") {
+        return json({ jsonrpc: "2.0", id: msg.id, result: { tools: [{ name: "search", inputSchema: { type: "object" } }] } });
+      }
+      return json({ jsonrpc: "2.0", id: msg.id, error });
+    },
+  });
+}
+
+test("request errors in the JSON-RPC envelope are fatal", async () => {
+  for (const code of [-32600, -32601, -32602]) {
+    const err = await clientFailingWith({ code, message: "bad" }).callTool("search", {}).catch((e) => e);
+    assert.equal(err.retryable, false, `code ${code}`);
+    assert.match(err.message, new RegExp(`\\(${code}\\)`));
+    assert.equal(classifyError(err).retryable, false);
+  }
+});
+
+test("server-side errors in the JSON-RPC envelope are retryable", async () => {
+  for (const code of [-32603, -32000, 429]) {
+    const err = await clientFailingWith({ code, message: "busy" }).callTool("search", {}).catch((e) => e);
+    assert.equal(err.retryable, true, `code ${code}`);
+    assert.match(err.message, new RegExp(`\\(${code}\\)`));
+  }
+  assert.equal(isRetryableRpcError({}), true);
+});
+
+const sse = (...chunks) =>
+  new Response(
+    new ReadableStream({
+      start(controller) {
+        for (const c of chunks) controller.enqueue(new TextEncoder().encode(c));
+        controller.close();
+      },
+    }),
+    { headers: { "content-type": "text/event-stream" } }
+  );
+
+test("readJsonRpcResponse passes notifications on and returns the response with the matching id", async () => {
+  const seen = [];
+  const msg = await readJsonRpcResponse(
+    sse(
+      'data: {"jsonrpc":"2.0","method":"notifications/progress","params":{"progress":1}}\r\n\r\n',
+      'data: {"jsonrpc":"2.0","id":6,"result":"other request"}\n\n',
+      'data: {"jsonrpc":"2.0",\ndata: "id":7,"result":"ours"}\n\n',
+      'data: {"jsonrpc":"2.0","method":"notifications/message","params":{}}\n\n'
+    ),
+    7,
+    { onMessage: (m) => seen.push(m.method) }
+  );
+  assert.equal(msg.result, "ours");
+  assert.deepEqual(seen, ["notifications/progress"]);
+});
+
+test("readJsonRpcResponse reads plain JSON and SSE sent without its content type", async () => {
+  assert.equal((await readJsonRpcResponse(json({ jsonrpc: "2.0", id: 1, result: "a" }), 1)).result, "a");
+  const untyped = new Response('event: message\ndata: {"jsonrpc":"2.0","id":2,"result":"b"}\n\n');
+  assert.equal((await readJsonRpcResponse(untyped, 2)).result, "b");
+});
+
+test("readJsonRpcResponse fails retryably when the response never arrives", async () => {
+  const err = await readJsonRpcResponse(sse('data: {"jsonrpc":"2.0","id":1,"result":"x"}\n\n'), 2).catch((e) => e);
+  assert.match(err.message, /never arrived/);
+  assert.equal(err.retryable, true);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderExcludedSourcesHtml, sourceFlagBadgeHtml } from "../lib/note-html.js";
+import { withConfirmationPrerequisite } from "../lib/source-policy.js";
+
+const stale = { action: "confirm", flags: [{ kind: "stale", action: "confirm", detail: "stale (updated 400 days ago)" }] };
+
+test("flag badge for policy-flagged sources", () => {
+  assert.equal(sourceFlagBadgeHtml({ title: "ok" }), "");
+  assert.match(sourceFlagBadgeHtml({ freshness: stale }), /stale \(updated 400 days ago\) — confirm with lead/);
+  const warn = { action: "warn", flags: [{ kind: "unverified", action: "warn", detail: "unverified (<NEEDS_VERIFICATION>)" }] };
+  assert.match(sourceFlagBadgeHtml({ freshness: warn }), /unverified \(&lt;NEEDS_VERIFICATION&gt;\)<\/span>$/);
+});
+
+test("excluded sources section", () => {
+  assert.equal(renderExcludedSourcesHtml([]), "");
+  const html = renderExcludedSourcesHtml([{ source: { id: "c1", title: "Other <client>" }, reason: "cross-client" }]);
+  assert.match(html, /Excluded sources \(1\)/);
+  assert.match(html, /<li>Other &lt;client&gt; <span style="color:#777">\[id=c1\]<\/span>: cross-client<\/li>/);
+});
+
+test("confirm-policy sources add a prerequisite", () => {
+  const runbook = { prerequisites: ["Check platform"] };
+  assert.equal(withConfirmationPrerequisite(runbook, [{ title: "Fine" }]), runbook);
+  const out = withConfirmationPrerequisite(runbook, [{ title: "Old card", freshness: stale }]);
+  assert.deepEqual(out.prerequisites, [
+    "Confirm with your lead before acting: cited sources are unverified or stale: Old card (stale (updated 400 days ago))",
+    "Check platform",
+  ]);
+});
@@ -0,0 +1,97 @@
+import { fake, resetCards, ticket } from "./helpers.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, getStore, setStore } from "../lib/storage.js";
+import { runPipelineAndPostNote } from "../lib/pipeline.js";
+import { crossClientCitations } from "../lib/citation-audit.js";
+import { createTrace, getTrace, saveTrace } from "../lib/trace.js";
+import { createDeadline } from "../lib/deadline.js";
+
+beforeEach(() => {
+  setStore(createMemoryStore());
+  resetCards();
+  Object.assign(fake, { answerSources: ["calendar", "otherClient"], wrapCards: false, cardResult: null, freshserviceStatus: 201, onRequest: null, calls: [] });
+});
+
+test("rejects another client's card and lists it under Excluded sources", async () => {
+  const result = await runPipelineAndPostNote(ticket(), { dryRun: true });
+  assert.ok(result.sources.some((s) => s.id === "calendar"));
+  assert.deepEqual(result.rejectedSources.map((r) => [r.source.id, r.crossClient]), [["otherClient", true]]);
+  assert.match(result.html, /Excluded sources \(1\)/);
+});
+
+test("cross-client citations count once per posted job", async () => {
+  await runPipelineAndPostNote(ticket(), { dryRun: true });
+  assert.equal((await crossClientCitations("Acme Corp")).attempts, 0);
+
+  await runPipelineAndPostNote(ticket(), {});
+  await runPipelineAndPostNote(ticket(), {}); // the same job running again
+  assert.equal((await crossClientCitations("Acme Corp")).attempts, 1);
+
+  await runPipelineAndPostNote(ticket({ jobId: "job-2" }), {});
+  assert.deepEqual((await crossClientCitations("Acme Corp")).cards, [{ id: "otherClient", attempts: 2 }]);
+});
+
+test("a failed post doesn't count cross-client citations", async () => {
+  fake.freshserviceStatus = 400;
+  await assert.rejects(runPipelineAndPostNote(ticket(), {}));
+  assert.equal((await crossClientCitations("Acme Corp")).attempts, 0);
+});
+
+test("cards wrapped in MCP content blocks are unwrapped before the scope check", async () => {
+  fake.wrapCards = true;
+  const result = await runPipelineAndPostNote(ticket(), { dryRun: true });
+  assert.ok(result.sources.some((s) => s.id === "calendar"));
+  assert.deepEqual(result.rejectedSources.map((r) => r.source.id), ["otherClient"]);
+});
+
+test("nested cards without an id are normalized and cached", async () => {
+  fake.wrapCards = true;
+  fake.cardResult = ({ id, ...card }) => ({ card: { ...card, dateLastModified: "2026-10-01T00:00:00Z" } });
+  const result = await runPipelineAndPostNote(ticket(), { dryRun: true });
+  assert.deepEqual(result.rejectedSources.map((r) => r.source.id), ["otherClient"]);
+  const store = await getStore();
+  assert.equal(await store.get("fs:guru:card:guru:calendar"), "2026-10-01T00:00:00Z");
+});
+
+test("saved traces keep the size of ticket text and prompts, not the text", async () => {
+  const trace = createTrace("job-1");
+  await runPipelineAndPostNote(ticket({ description: "my SSN is 123-45-6789" }), { dryRun: true, trace });
+  await saveTrace(trace);
+  const saved = await getTrace("job-1");
+  assert.doesNotMatch(JSON.stringify(saved), /123-45-6789|calendar delegate exempt/);
+  const stage = (name) => saved.stages.find((s) => s.name === name);
+  assert.equal(stage("buildQueryPackage").inputs.description, "[redacted 21 chars]");
+  assert.match(stage("answerGeneration").inputs.question, /^\[redacted \d+ chars\]$/);
+});
+
+test("an aborted deadline stops the job before the note is posted", async () => {
+  const deadline = createDeadline(60_000);
+  // Abort while the runbook is being written, i.e. after every lookup has finished.
+  fake.onRequest = (url) => {
+    if (url.includes("api.openai.com") && fake.calls.filter((c) => c.url.includes("api.openai.com")).length === 2) {
+      deadline.abort("Lost the lock for job job-1");
+    }
+  };
+  await assert.rejects(runPipelineAndPostNote(ticket(), { deadline }), { name: "DeadlineExceededError", message: /Lost the lock/ });
+  assert.equal(fake.calls.filter((c) => c.url.includes("fs.test")).length, 0);
+});
+
+test("a cached company board skips the company search and its hydration", async () => {
+  const toolCalls = () =>
+    fake.calls
+      .filter((c) => c.url.includes("/mcp") && c.body?.includes('"tools/call"'))
+      .map((c) => JSON.parse(c.body).params.name);
+
+  const first = await runPipelineAndPostNote(ticket(), { dryRun: true });
+  assert.equal(first.companyMatch.cached, undefined);
+  assert.equal(toolCalls().filter((n) => n === "guru_search_documents").length, 3);
+
+  fake.calls = [];
+  const second = await runPipelineAndPostNote(ticket({ jobId: "job-2" }), { dryRun: true });
+  assert.equal(second.companyMatch.cached, true);
+  const calls = toolCalls();
+  assert.equal(calls.filter((n) => n === "guru_search_documents").length, 2);
+  assert.equal(calls.filter((n) => n === "guru_get_card_by_id").length, 3);
+  assert.equal(calls.filter((n) => n === "guru_answer_generation").length, 1);
+});
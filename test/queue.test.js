@@ -0,0 +1,168 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, getStore, setStore } from "../lib/storage.js";
+import {
+  enqueueJob,
+  dequeueJob,
+  ackJob,
+  failJob,
+  requeueJob,
+  reapExpiredJobs,
+  isSuperseded,
+  queueDepth,
+  peekJobs,
+  requeueDeadLetter,
+  laneForJob,
+  backoffSeconds,
+  purgeQueue,
+} from "../lib/queue.js";
+
+let store;
+beforeEach(() => {
+  store = createMemoryStore();
+  setStore(store);
+});
+
+const job = (jobId, extra = {}) => ({ jobId, ticketId: 1, company: "Acme", description: "secret", ...extra });
+
+test("dequeues in enqueue order and acks off the processing list", async () => {
+  await enqueueJob(job("a", { ticketId: 1 }));
+  await enqueueJob(job("b", { ticketId: 2 }));
+
+  const first = await dequeueJob();
+  assert.equal(first.jobId, "a");
+  assert.equal((await queueDepth()).processing, 1);
+
+  await ackJob(first);
+  assert.equal((await queueDepth()).processing, 0);
+  assert.equal((await dequeueJob()).jobId, "b");
+  assert.equal(await dequeueJob(), null);
+});
+
+test("drains the high lane before normal and low", async () => {
+  await enqueueJob(job("low", { ticketId: 1, priority: 1, urgency: 1 }));
+  await enqueueJob(job("normal", { ticketId: 2 }));
+  await enqueueJob(job("vip", { ticketId: 3, vip: true }));
+
+  assert.equal(laneForJob({ priority: "Urgent" }), "high");
+  assert.equal((await dequeueJob()).jobId, "vip");
+  assert.equal((await dequeueJob()).jobId, "normal");
+  assert.equal((await dequeueJob()).jobId, "low");
+});
+
+test("failed jobs back off, then dead-letter after the last attempt", async () => {
+  await enqueueJob(job("a"));
+  const outcome = await failJob(await dequeueJob(), new Error("boom"));
+  assert.equal(outcome.deadLettered, false);
+  assert.ok(outcome.retryAt >= Date.now() + backoffSeconds(1) * 1000 - 50);
+  assert.equal((await queueDepth()).delayed, 1);
+
+  await enqueueJob(job("b", { ticketId: 2 }));
+  const dead = await failJob(await dequeueJob(), new Error("bad request"), { retryable: false });
+  assert.equal(dead.deadLettered, true);
+  assert.deepEqual((await peekJobs(10, { deadLetter: true })).map((j) => j.jobId), ["b"]);
+});
+
+test("requeueJob puts an in-flight job back without an attempt", async () => {
+  await enqueueJob(job("a"));
+  const j = await dequeueJob();
+  assert.equal(await requeueJob(j), true);
+  const again = await dequeueJob();
+  assert.equal(again.jobId, "a");
+  assert.equal(again.attempts, undefined);
+});
+
+test("reaper returns in-flight jobs whose lease expired", async () => {
+  await enqueueJob(job("a"));
+  const j = await dequeueJob();
+  assert.equal(await reapExpiredJobs(), 0);
+
+  await store.del(`fs:guru:lease:${j.jobId}`);
+  assert.equal(await reapExpiredJobs(), 1);
+  assert.equal((await dequeueJob()).jobId, "a");
+});
+
+test("a newer job for the same ticket supersedes the older one", async () => {
+  await enqueueJob(job("old"));
+  await enqueueJob(job("new"));
+  assert.equal(await isSuperseded(job("old")), true);
+  assert.equal(await isSuperseded(job("new")), false);
+});
+
+test("a later dry run for the same ticket does not supersede the real job", async () => {
+  await enqueueJob(job("real"));
+  await enqueueJob(job("preview", { dryRun: true }));
+
+  assert.equal(await isSuperseded(job("real")), false);
+  assert.equal(await isSuperseded(job("preview", { dryRun: true })), false);
+  assert.deepEqual([(await dequeueJob()).jobId, (await dequeueJob()).jobId], ["real", "preview"]);
+});
+
+test("peekJobs redacts the description", async () => {
+  await enqueueJob(job("a"));
+  const [peeked] = await peekJobs(1);
+  assert.equal(peeked.description, "[redacted 6 chars]");
+});
+
+test("peekJobs redacts the requester", async () => {
+  await enqueueJob(job("a", { requesterEmail: "jo@acme.test", requesterName: "Jo Doe" }));
+  const [peeked] = await peekJobs(1);
+  assert.equal(peeked.requesterEmail, "[redacted 12 chars]");
+  assert.equal(peeked.requesterName, "[redacted 6 chars]");
+  assert.doesNotMatch(JSON.stringify(peeked), /jo@acme|Jo Doe/);
+});
+
+test("requeueDeadLetter gives the job a fresh attempt budget", async () => {
+  await enqueueJob(job("a"));
+  await failJob(await dequeueJob(), new Error("boom"), { retryable: false });
+
+  const { job: fresh } = await requeueDeadLetter("a");
+  assert.equal(fresh.attempts, undefined);
+  assert.equal((await dequeueJob()).jobId, "a");
+  assert.equal(await requeueDeadLetter("missing"), null);
+});
+
+test("a store that failed to start is not cached", async () => {
+  setStore(Promise.reject(new Error("kv down")));
+  await assert.rejects(getStore(), /kv down/);
+
+  const previous = process.env.QUEUE_STORE;
+  process.env.QUEUE_STORE = "memory";
+  try {
+    assert.ok(await getStore());
+  } finally {
+    if (previous === undefined) delete process.env.QUEUE_STORE;
+    else process.env.QUEUE_STORE = previous;
+  }
+});
+
+test("requeueDeadLetter never displaces a newer job for the ticket", async () => {
+  await enqueueJob(job("old"));
+  await failJob(await dequeueJob(), new Error("boom"), { retryable: false });
+  await enqueueJob(job("new"));
+
+  const result = await requeueDeadLetter("old");
+  assert.equal(result.superseded, true);
+  assert.equal(await isSuperseded(job("new")), false);
+  assert.deepEqual((await peekJobs(10, { deadLetter: true })).map((j) => j.jobId), ["old"]);
+});
+
+test("requeueDeadLetter leaves the latest pointer alone", async () => {
+  await enqueueJob(job("a", { ticketId: 7 }));
+  await failJob(await dequeueJob(), new Error("boom"), { retryable: false });
+  await store.del("fs:guru:ticket:latest:7");
+
+  await requeueDeadLetter("a");
+  assert.equal(await store.get("fs:guru:ticket:latest:7"), null);
+});
+
+test("purgeQueue also drops delayed jobs so they aren't promoted back", async (t) => {
+  await enqueueJob(job("a"));
+  await enqueueJob(job("b", { ticketId: 2 }), { delaySeconds: 5 });
+  await purgeQueue();
+
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 10_000);
+  assert.equal(await dequeueJob(), null);
+  assert.equal((await queueDepth()).delayed, 0);
+});
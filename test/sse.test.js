@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSseParser, readSseEvents } from "../lib/sse.js";
+
+function parse(...chunks) {
+  const events = [];
+  const parser = createSseParser((e) => events.push(e));
+  for (const c of chunks) parser.push(c);
+  parser.end();
+  return events;
+}
+
+test("multi-line data is joined with newlines", () => {
+  const [ev] = parse("event: message\ndata: {\"a\":\ndata: 1}\n\n");
+  assert.equal(ev.event, "message");
+  assert.equal(ev.data, '{"a":\n1}');
+});
+
+test("a CRLF split across chunks ends one line, not two", () => {
+  const events = parse("data: one\r", "\n\r", "\ndata: two\r\n\r\n");
+  assert.deepEqual(events.map((e) => e.data), ["one", "two"]);
+});
+
+test("comments, ids and retry are handled; an unterminated event is dropped", () => {
+  const events = parse(": keep-alive\n\nid: 7\nretry: 500\ndata: x\n\ndata: partial");
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0], { event: "message", data: "x", id: "7", retry: 500 });
+});
+
+test("readSseEvents decodes byte chunks incrementally", async () => {
+  const bytes = new TextEncoder().encode("data: héllo\n\n");
+  // Split inside the two-byte "é".
+  const body = (async function* () {
+    yield bytes.slice(0, 8);
+    yield bytes.slice(8);
+  })();
+  const events = [];
+  for await (const ev of readSseEvents(body)) events.push(ev.data);
+  assert.deepEqual(events, ["héllo"]);
+});
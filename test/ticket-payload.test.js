@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeTicketPayload, parseFieldMap, htmlToText, DEFAULT_FIELD_MAP } from "../lib/ticket-payload.js";
+
+const native = {
+  freshdesk_webhook: {
+    ticket_id: "#SR-42",
+    ticket_subject: " Calendar delegation ",
+    ticket_description: "<div>Hi team,<br>please grant <b>delegate</b> access.</div><ul><li>Jo&#39;s calendar</li><li>Q&amp;A room</li></ul>",
+    department_name: "Acme Corp",
+    ticket_requester_email: "Jo@Acme.test",
+    ticket_requester_name: "Jo Doe",
+    ticket_cf_vip: "Checked",
+    ticket_priority: "High",
+    ticket_source: 2,
+  },
+};
+
+test("normalizes the native Freshservice webhook body", () => {
+  const t = normalizeTicketPayload(native);
+  assert.equal(t.ticketId, "42");
+  assert.equal(t.company, "Acme Corp");
+  assert.equal(t.subject, "Calendar delegation");
+  assert.equal(t.description, "Hi team,\nplease grant delegate access.\n- Jo's calendar\n- Q&A room");
+  assert.equal(t.requesterEmail, "jo@acme.test");
+  assert.equal(t.requesterName, "Jo Doe");
+  assert.equal(t.vip, true);
+  assert.equal(t.priority, "High");
+  assert.equal(t.source, 2);
+});
+
+test("keeps the flat bridge body working", () => {
+  const t = normalizeTicketPayload({ ticketId: 7, company: "Acme", subject: "s", description: "use <username>", vip: false });
+  assert.equal(t.ticketId, 7);
+  assert.equal(t.description, "use <username>");
+  assert.equal(t.vip, false);
+});
+
+test("VIP checkbox values", () => {
+  const vip = (v) => normalizeTicketPayload({ ticket_id: 1, ticket_cf_vip: v }).vip;
+  for (const v of [true, "true", "Yes", "y", "1", "on", "checked"]) assert.equal(vip(v), true, String(v));
+  for (const v of [false, "false", "no", "0", "", "off", undefined]) assert.equal(vip(v), false, String(v));
+});
+
+test("ticket ids in display formats", () => {
+  const id = (v) => normalizeTicketPayload({ ticket_id: v }).ticketId;
+  assert.equal(id("#SR-42"), "42");
+  assert.equal(id("INC-1234"), "1234");
+  assert.equal(id(" 99 "), "99");
+  assert.equal(id(123), 123);
+  assert.equal(id(""), undefined);
+});
+
+test("htmlToText drops scripts and decodes entities", () => {
+  assert.equal(htmlToText("<p>a&nbsp;&lt;b&gt;</p><script>x()</script><p>&#x263A;</p>"), "a <b>\n☺");
+});
+
+test("WEBHOOK_FIELD_MAP overrides single fields", () => {
+  const map = parseFieldMap(JSON.stringify({ company: "custom_fields.client", vip: ["custom_fields.is_vip"] }));
+  assert.deepEqual(map.company, ["custom_fields.client"]);
+  assert.deepEqual(map.subject, DEFAULT_FIELD_MAP.subject);
+
+  const t = normalizeTicketPayload({ ticket_id: 5, department_name: "Ignored", custom_fields: { client: "Globex", is_vip: "yes" } }, map);
+  assert.equal(t.company, "Globex");
+  assert.equal(t.vip, true);
+
+  assert.equal(parseFieldMap(""), DEFAULT_FIELD_MAP);
+  assert.throws(() => parseFieldMap("{oops"), /Invalid WEBHOOK_FIELD_MAP JSON/);
+});
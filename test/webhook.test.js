@@ -0,0 +1,118 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { createMemoryStore, setStore } from "../lib/storage.js";
+import { queueDepth } from "../lib/queue.js";
+import { signBridgePayload } from "../lib/auth.js";
+
+let handler;
+before(async () => {
+  process.env.BRIDGE_KEY = "bridge-secret";
+  process.env.WORKER_KEY = "worker-secret";
+  process.env.ELIGIBILITY_RULES = JSON.stringify({ exclude: { categories: ["Hardware"] } });
+  ({ default: handler } = await import("../api/freshservice-webhook.js"));
+});
+beforeEach(() => setStore(createMemoryStore()));
+
+function signedHeaders(raw, { timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  return {
+    "content-type": "application/json",
+    "x-bridge-timestamp": String(timestamp),
+    "x-bridge-signature": `sha256=${signBridgePayload("bridge-secret", timestamp, raw)}`,
+  };
+}
+
+// Response without Vercel's helpers (NODEJS_HELPERS=0); withNodeHelpers fills them in.
+function call(req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headersSent: false,
+      setHeader() {},
+      end(body) {
+        resolve({ status: res.statusCode, body: JSON.parse(body) });
+      },
+    };
+    handler(req, res);
+  });
+}
+
+// What Vercel hands the function with its helpers on: body parsed, stream drained.
+function preParsedRequest(raw, headers) {
+  const req = Readable.from([]);
+  req.resume();
+  return new Promise((resolve) =>
+    req.on("end", () => resolve(Object.assign(req, { method: "POST", url: "/api/freshservice-webhook", headers, body: JSON.parse(raw) })))
+  );
+}
+
+function rawRequest(raw, headers) {
+  return Object.assign(Readable.from([Buffer.from(raw)]), { method: "POST", url: "/api/freshservice-webhook", headers });
+}
+
+const payload = (ticketId) => JSON.stringify({ ticketId, company: "Acme", subject: "Calendar", description: "Delegate access" });
+
+test("accepts a signed request read from the raw stream", async () => {
+  const raw = payload(1);
+  const { status, body } = await call(rawRequest(raw, signedHeaders(raw)));
+  assert.equal(status, 200);
+  assert.equal(body.enqueued, true);
+});
+
+test("accepts a signed request whose body the platform already parsed", async () => {
+  const raw = payload(2);
+  const { status, body } = await call(await preParsedRequest(raw, signedHeaders(raw)));
+  assert.equal(status, 200);
+  assert.equal(body.enqueued, true);
+});
+
+test("rejects a replayed signature inside the tolerance window", async () => {
+  const raw = payload(3);
+  const headers = signedHeaders(raw);
+  assert.equal((await call(rawRequest(raw, headers))).status, 200);
+  assert.equal((await call(rawRequest(raw, headers))).status, 401);
+});
+
+test("a request that fails after the signature check can be retried", async (t) => {
+  const store = createMemoryStore();
+  setStore(store);
+  const rpush = store.rpush;
+  store.rpush = async () => {
+    throw new Error("store down");
+  };
+  t.mock.method(console, "error", () => {});
+
+  const raw = payload(6);
+  const headers = signedHeaders(raw);
+  assert.equal((await call(rawRequest(raw, headers))).status, 500);
+
+  store.rpush = rpush;
+  assert.equal((await call(rawRequest(raw, headers))).status, 200);
+  assert.equal((await call(rawRequest(raw, headers))).status, 401);
+});
+
+test("rejects a bad signature and a stale timestamp", async () => {
+  const raw = payload(4);
+  const tampered = { ...signedHeaders(raw), "x-bridge-signature": "sha256=00" };
+  assert.equal((await call(rawRequest(raw, tampered))).status, 401);
+
+  const stale = signedHeaders(raw, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+  assert.equal((await call(rawRequest(raw, stale))).status, 401);
+});
+
+test("still accepts the static bridge key", async () => {
+  const raw = payload(5);
+  const headers = { "content-type": "application/json", "x-bridge-key": "bridge-secret" };
+  assert.equal((await call(rawRequest(raw, headers))).status, 200);
+  assert.equal((await call(rawRequest(raw, { ...headers, "x-bridge-key": "nope" }))).status, 401);
+});
+
+test("ineligible tickets get a 200 and are not enqueued", async () => {
+  const raw = JSON.stringify({ ticketId: 7, company: "Acme", subject: "Laptop", description: "Broken", category: "Hardware" });
+  const headers = { "content-type": "application/json", "x-bridge-key": "bridge-secret" };
+  const { status, body } = await call(rawRequest(raw, headers));
+  assert.equal(status, 200);
+  assert.deepEqual(body, { ok: true, skipped: true, reason: "excluded by categories" });
+  const depth = await queueDepth();
+  assert.equal(depth.high + depth.normal + depth.low + depth.delayed, 0);
+});